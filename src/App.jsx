@@ -1,28 +1,47 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react'
 
-import GridModel from './models/GridModel.js'
-import GridView  from './views/GridView.js'
+import GridModel, { TERRAIN, MAX_SIDE } from './models/GridModel.js'
+import GridView, { MIN_TEXT, HEAT_STOPS } from './views/GridView.js'
 import NodeModel from './models/NodeModel.js'
+import { readScenario, ScenarioError, expect } from './models/format.js'
+import { shareHash, readShareHash } from './models/share.js'
+import History, { snapshotEdit } from './models/History.js'
 import NodeView  from './views/NodeView.js'
 
-import { dijShortestPath, dijkstraNodePath } from './algorithms/dijkstra.js'
-import { aStarShortestPath } from './algorithms/astar.js'
-import { bellmanFordShortestPath } from './algorithms/bellmanford.js'
-import { floydWarsShortestPath } from './algorithms/floydwarshall.js'
-import { bfsNodePath, dfsNodePath } from './algorithms/traversals.js'
+import { checkNodeHeuristic } from './algorithms/astar.js'
+import { fwMatrixAt, fwPath } from './algorithms/floydwarshall.js'
+import Solver, { CancelledError } from './algorithms/Solver.js'
+import { estimateRun, formatBytes, formatDuration } from './algorithms/estimate.js'
+import { EV, traceFrames, traceBookmarks, traceKey, emptyReplay, applyFrame, replayTo, emptyStats, cellOfKey } from './algorithms/trace.js'
+import { CONNECTIVITY, gridPathCost } from './algorithms/neighbors.js'
+import { MAZES, buildMaze, resetMaze, applyMazeOp } from './algorithms/mazes.js'
+import { createRng, randomSeed } from './algorithms/random.js'
+import { TIE_BREAKS } from './algorithms/MinHeap.js'
+import { HEURISTICS, isAdmissible } from './algorithms/heuristics.js'
+import DistMatrix from './components/DistMatrix.jsx'
+import RaceView from './components/RaceView.jsx'
+import MetricsPanel from './components/MetricsPanel.jsx'
+import VerifyPanel from './components/VerifyPanel.jsx'
+import CodeBlock, { codeStep } from './components/CodeBlock.jsx'
+import Inspector from './components/Inspector.jsx'
+import Timeline from './components/Timeline.jsx'
 
 const TWO_COL_BP = 1360;
 
-const ALG = {
-  dijkstra: dijShortestPath,
-  astar: aStarShortestPath,
-  bellmanFord: bellmanFordShortestPath,
-  floydWarshall: floydWarsShortestPath,
+const MAZE_ALGS = ['dijkstra','astar','bellmanFord','floydWarshall','jps','biBfs','biDijkstra']
+const NODE_ALGS = ['dijkstra','astar','bellmanFord','floydWarshall','bfs','dfs','biBfs','biDijkstra']
+const WEIGHTED_NODE_ALGS = ['dijkstra','astar','bellmanFord','floydWarshall','biDijkstra']
+const BIDIRECTIONAL = ['biBfs','biDijkstra']
+
+// worker progress as text plus a bar value: exact for Floyd-Warshall (k of V),
+// a pass count for Bellman-Ford, settled nodes (an upper bound) otherwise
+function progressOf(p) {
+  if (!p) return { text: '', value: undefined }
+  if (p.alg === 'floydWarshall') return { text: `k ${p.rounds} of ${p.total}`, value: p.rounds / p.total }
+  if (p.alg === 'bellmanFord') return { text: `pass ${p.rounds}`, value: undefined }
+  return { text: `${p.settled} of ${p.total} settled`, value: p.settled / p.total }
 }
 
-const MAZE_ALGS = ['dijkstra','astar','bellmanFord','floydWarshall']
-const NODE_ALGS = ['dijkstra','bfs','dfs']
-
 const INFO = {
   dijkstra: {
     title: 'Dijkstra',
@@ -176,6 +195,202 @@ Time: O(V + E); Space: O(V)`,
   return failure`
   },
 
+  jps: {
+    title: 'Jump Point Search',
+    req: `Uniform‑cost grids only (terrain is ignored)
+Same optimal paths as A* with octile / Manhattan h
+Prunes symmetric paths: only jump points enter the open list`,
+    desc: 'A* that never pushes ordinary neighbours. From each expanded cell it scans straight (and diagonally, then straight again) until it hits the goal or a cell with a forced neighbour — a jump point — and only those jump points are queued.',
+    code: `function JPS(Grid, start, goal, h):
+  g[start] := 0; open := {start}
+  while open not empty:
+    x := open.extractMin()               // by f = g + h
+    if x == goal:
+      return reconstruct(prev, goal)     // fill cells between jump points
+    for each direction d in pruned(x, prev[x]):
+      y := jump(x, d)
+      if y undefined or y in closed: continue
+      alt := g[x] + dist(x, y)
+      if alt < g[y]:
+        g[y] := alt; prev[y] := x
+        open.insertOrDecrease(y, alt + h(y))
+  return failure
+
+function jump(x, d):
+  n := x + d
+  if n is blocked: return undefined
+  if n == goal or n has a forced neighbour: return n
+  if d is diagonal:
+    if jump(n, d.row) or jump(n, d.col): return n
+  return jump(n, d)`
+  },
+
+  biBfs: {
+    title: 'Bidirectional BFS',
+    req: `Unweighted (counts edges/moves)
+Backward search walks edges in reverse
+Time: O(b^(d/2)) vs O(b^d) for one-directional BFS`,
+    desc: 'Runs one BFS from the start and one from the goal, expanding whole layers of the smaller frontier; when a layer reaches a node the other side has seen, the two half-paths are joined there.',
+    code: `function BidirectionalBFS(Graph, start, goal):
+  Ff := [start]; Fb := [goal]
+  seenF := {start}; seenB := {goal}
+  best := +infinity; meet := undefined
+
+  while Ff and Fb not empty and meet undefined:
+    side := the smaller of Ff, Fb
+    next := []
+    for each u in side.frontier:
+      for each edge (u, v) in side's direction:
+        if v in side.seen: continue
+        side.seen.add(v); side.prev[v] := u
+        next.append(v)
+        if v in other.seen and depth(v) < best:
+          best := depthF[v] + depthB[v]; meet := v
+    side.frontier := next
+
+  return join(prevF, meet, prevB)`
+  },
+  biDijkstra: {
+    title: 'Bidirectional Dijkstra',
+    req: `Non‑negative edge weights only
+Backward search walks edges in reverse
+Settles roughly half the radius from each end`,
+    desc: 'Runs Dijkstra from both ends, always advancing the side with the smaller tentative distance. Every relaxation that reaches a node labelled by the other side is a candidate meeting; the search stops once topF + topB ≥ the best candidate.',
+    code: `function BidirectionalDijkstra(Graph, start, goal):
+  distF[start] := 0; distB[goal] := 0
+  pqF := {start}; pqB := {goal}
+  best := +infinity; meet := undefined
+
+  while pqF and pqB not empty:
+    if pqF.minKey() + pqB.minKey() >= best: break
+    side := pqF if pqF.minKey() <= pqB.minKey() else pqB
+    u := side.extractMin()
+    for each edge (u, v, w) in side's direction:
+      alt := side.dist[u] + w
+      if alt < side.dist[v]:
+        side.dist[v] := alt; side.prev[v] := u
+        side.pq.insertOrDecrease(v, alt)
+        if alt + other.dist[v] < best:
+          best := alt + other.dist[v]; meet := v
+
+  return join(prevF, meet, prevB)`
+  },
+
+}
+
+// Pseudocode lines each trace event runs, by algorithm (see CodeBlock's
+// codeStep): each entry lists the leading text of those lines, the line being
+// executed last; `names` are the pseudocode's variable names.
+const CODE_STEPS = {
+  dijkstra: {
+    names: { u: 'u', v: 'v', alt: 'alt', dist: 'dist' },
+    steps: {
+      start:         ['dist[start] := 0', 'pq.insert(start)'],
+      [EV.SETTLE]:   ['while pq not empty', 'u := pq.extractMin()'],
+      [EV.GOAL]:     ['if u == goal'],
+      [EV.RELAX]:    ['for each edge', 'alt := dist[u] + w', 'if alt < dist[v]', 'prev[v] := u', 'dist[v] := alt'],
+      [EV.REJECT]:   ['for each edge', 'alt := dist[u] + w', 'if alt < dist[v]'],
+      [EV.ENQUEUE]:  ['if v in pq'],
+    },
+  },
+  astar: {
+    names: { u: 'u', v: 'v', alt: 'tentative', dist: 'g' },
+    steps: {
+      start:         ['g[start] := 0', 'f[start] := h(start)', 'open.insert(start)'],
+      [EV.SETTLE]:   ['while open not empty', 'closed.add(u)', 'u := open.extractMin()'],
+      [EV.GOAL]:     ['if u == goal'],
+      [EV.RELAX]:    ['for each edge', 'if v in closed', 'tentative := g[u] + w', 'if tentative < g[v]', 'f[v] := g[v] + h(v)', 'prev[v] := u', 'g[v] := tentative'],
+      [EV.REJECT]:   ['for each edge', 'if v in closed', 'tentative := g[u] + w', 'if tentative < g[v]'],
+      [EV.ENQUEUE]:  ['if v in open'],
+    },
+  },
+  bellmanFord: {
+    names: { u: 'u', v: 'v', alt: 'dist[u] + w', dist: 'dist', round: 'i' },
+    steps: {
+      [EV.ROUND]:    ['updated := false', 'for i from 1 to |V|-1'],
+      [EV.RELAX]:    ['for each edge (u, v, w)', 'if dist[u] + w < dist[v]', 'prev[v] := u', 'updated := true', 'dist[v] := dist[u] + w'],
+      [EV.REJECT]:   ['for each edge (u, v, w)', 'if dist[u] + w < dist[v]'],
+      [EV.GOAL]:     ['return dist, prev'],
+    },
+  },
+  floydWarshall: {
+    names: { u: 'i', v: 'j', alt: 'dist[i][k] + dist[k][j]', round: 'k' },
+    steps: {
+      start:         ['function FloydWarshall'],
+      [EV.ROUND]:    ['for k in 0..V-1'],
+      [EV.RELAX]:    ['for i in 0..V-1', 'for j in 0..V-1', 'if dist[i][k] + dist[k][j] < dist[i][j]', 'dist[i][j] := dist[i][k] + dist[k][j]'],
+      [EV.GOAL]:     ['return dist'],
+    },
+  },
+  bfs: {
+    names: { u: 'u', v: 'v' },
+    steps: {
+      start:         ['visited.add(start)', 'Q.enqueue(start)'],
+      [EV.SETTLE]:   ['while Q not empty', 'u := Q.dequeue()'],
+      [EV.GOAL]:     ['if u == goal', 'return reconstruct(prev, goal)'],
+      [EV.ENQUEUE]:  ['for each edge (u, v)', 'if v not in visited', 'visited.add(v)', 'prev[v] := u', 'Q.enqueue(v)'],
+      [EV.REJECT]:   ['for each edge (u, v)', 'if v not in visited'],
+    },
+  },
+  dfs: {
+    names: { u: 'u', v: 'v' },
+    steps: {
+      start:         ['visited.add(start)', 'S.push(start)'],
+      [EV.SETTLE]:   ['while S not empty', 'u := S.pop()'],
+      [EV.GOAL]:     ['if u == goal', 'return reconstruct(prev, goal)'],
+      [EV.ENQUEUE]:  ['for each edge (u, v)', 'if v not in visited', 'visited.add(v)', 'prev[v] := u', 'S.push(v)'],
+      [EV.REJECT]:   ['for each edge (u, v)', 'if v not in visited'],
+    },
+  },
+  jps: {
+    names: { u: 'x', v: 'y', alt: 'alt', dist: 'g' },
+    steps: {
+      start:         ['g[start] := 0; open := {start}'],
+      [EV.SETTLE]:   ['while open not empty', 'x := open.extractMin()'],
+      [EV.GOAL]:     ['if x == goal', 'return reconstruct(prev, goal)'],
+      [EV.RELAX]:    ['for each direction d', 'y := jump(x, d)', 'if y undefined', 'alt := g[x] + dist(x, y)', 'if alt < g[y]', 'g[y] := alt; prev[y] := x'],
+      [EV.REJECT]:   ['for each direction d', 'y := jump(x, d)', 'if y undefined', 'alt := g[x] + dist(x, y)', 'if alt < g[y]'],
+      [EV.ENQUEUE]:  ['open.insertOrDecrease(y, alt + h(y))'],
+    },
+  },
+  biBfs: {
+    names: { u: 'u', v: 'v', dist: 'depth' },
+    steps: {
+      start:         ['Ff := [start]; Fb := [goal]', 'seenF := {start}; seenB := {goal}'],
+      [EV.SETTLE]:   ['side := the smaller of Ff, Fb', 'for each u in side.frontier'],
+      [EV.ENQUEUE]:  ['for each edge (u, v) in side', 'side.seen.add(v); side.prev[v] := u', 'next.append(v)'],
+      [EV.REJECT]:   ['for each edge (u, v) in side', 'if v in side.seen: continue'],
+      [EV.MEET]:     ['if v in other.seen and depth(v) < best', 'best := depthF[v] + depthB[v]; meet := v'],
+    },
+  },
+  biDijkstra: {
+    names: { u: 'u', v: 'v', alt: 'alt', dist: 'side.dist' },
+    steps: {
+      start:         ['distF[start] := 0; distB[goal] := 0', 'pqF := {start}; pqB := {goal}'],
+      [EV.SETTLE]:   ['while pqF and pqB not empty', 'if pqF.minKey() + pqB.minKey() >= best', 'side := pqF if', 'u := side.extractMin()'],
+      [EV.RELAX]:    ['for each edge (u, v, w) in side', 'alt := side.dist[u] + w', 'if alt < side.dist[v]', 'side.dist[v] := alt; side.prev[v] := u'],
+      [EV.REJECT]:   ['for each edge (u, v, w) in side', 'alt := side.dist[u] + w', 'if alt < side.dist[v]'],
+      [EV.ENQUEUE]:  ['side.pq.insertOrDecrease(v, alt)'],
+      [EV.MEET]:     ['if alt + other.dist[v] < best', 'best := alt + other.dist[v]; meet := v'],
+    },
+  },
+}
+
+// Maze overlays: per-cell numbers of a replay (GridView drawValues and
+// drawHeatmap). 'dist' is the label from Start (g for A* / JPS, the forward
+// search of bidirectional runs), 'order' when the cell was expanded; h and f
+// only exist for the heuristic searches.
+const HEURISTIC_ALGS = ['astar','jps']
+const HEAT_GRADIENT = `linear-gradient(to right, ${HEAT_STOPS.map(([r, g, b]) => `rgb(${r},${g},${b})`).join(', ')})`
+const OVERLAY_VALUES = {
+  dist:  { label: 'Distance from Start', of: r => r.dist.fwd },
+  h:     { label: 'h (estimate to Goal)', of: r => r.h },
+  f:     { label: 'f = g + h', of: r => {
+    const f = new Map()
+    for (const [key, h] of r.h) { const g = r.dist.fwd.get(key); if (g !== undefined) f.set(key, g + h) }
+    return f
+  } },
+  order: { label: 'Expansion order', of: r => r.order },
 }
 
 export default function App() {
@@ -187,39 +402,94 @@ export default function App() {
   const [theme, setTheme]   = useState('light')
   const [renderScale, setRenderScale] = useState(1) //1 to 3
   const [nodeUIMode, setNodeUIMode] = useState(null)
+  const [brush, setBrush] = useState('wall')        // 'wall' | TERRAIN key
+  const [connectivity, setConnectivity] = useState('4') // CONNECTIVITY key
+  const [heuristic, setHeuristic] = useState('manhattan') // HEURISTICS key (A*)
+  const [epsilon, setEpsilon] = useState(2)               // weighted A* multiplier
+  const [mazeType, setMazeType] = useState('backtracker') // MAZES key
+  const [braided, setBraided] = useState(false)           // knock out dead ends
+  const [animateMaze, setAnimateMaze] = useState(true)    // carve the maze on screen
+  const [seed, setSeed] = useState(randomSeed)            // drives every random choice
+  const [tie, setTie] = useState('fifo')                  // TIE_BREAKS key for heap ties
+  const [raceOpen, setRaceOpen] = useState(false)
+  const [verifyOpen, setVerifyOpen] = useState(false)
+
+  // algorithms run in a worker; busy = { alg, progress } while one computes
+  const solverRef = useRef(null)
+  const [busy, setBusy] = useState(null)
+
+  // Nodes-mode Floyd-Warshall: full run, how many k steps are shown, picked (i, j)
+  const [fwRun, setFwRun]   = useState(null)
+  const [fwStep, setFwStep] = useState(0)
+  const [fwSel, setFwSel]   = useState(null)
+
+  // Nodes-mode A*: h = nodeScale × pixel distance; last heuristic check + node counts
+  const [nodeScale, setNodeScale] = useState(1)
+  const [nodeCheck, setNodeCheck] = useState(null)
+
+  // one-line summary under the info title for the last run (e.g. nodes settled vs Dijkstra)
+  const [runNote, setRunNote] = useState(null)
+
+  // stats of the current run: { stats, cost, live }, live = counters so far while the trace replays
+  const [metrics, setMetrics] = useState(null)
+
+  // where the replayed frame is in the pseudocode (CodeBlock codeStep); the
+  // node view reports frames through a callback set up once, hence algRef
+  const [codeAt, setCodeAt] = useState(null)
+  const algRef = useRef(alg)
+  algRef.current = alg
+
+  // inspector under the metrics: open or not, frames replayed so far (the
+  // replay changes in place), and the key hovered in it
+  const [inspectOpen, setInspectOpen] = useState(false)
+  const [frameNo, setFrameNo] = useState(0)
+  const [inspectKey, setInspectKey] = useState(null)
+
+  // Maze overlays over a run: numbers per cell and heatmap (OVERLAY_VALUES
+  // keys or 'none') and the parent-pointer tree as arrows
+  const [cellNumbers, setCellNumbers] = useState('none')
+  const [heatmap, setHeatmap] = useState('none')
+  const [parentArrows, setParentArrows] = useState(false)
+
+  // step of the run on the timeline under the canvas (trace frames, then path moves)
+  const [timePos, setTimePos] = useState(0)
 
   const [toastMsg, setToastMsg] = useState(null)
   const toastTimerRef = useRef(null)
 
   const GRID_SIZE = Math.min(22 * 30, 19 * 30);
   const MIN_N = 5;
-  const MAX_N = 100;
+  const MAX_N = MAX_SIDE;
 
-  const [n, setN] = useState(19);
-  const rows = n;
-  const cols = n;
+  const [rows, setRows] = useState(19);
+  const [cols, setCols] = useState(19);
 
-  const cellPx = useMemo(() => GRID_SIZE / n, [n]);
+  // the longer side spans GRID_SIZE; a rectangular board is shorter the other way
+  const cellPx = useMemo(() => GRID_SIZE / Math.max(rows, cols), [rows, cols]);
 
   useEffect(() => {
-    const nn = Math.max(MIN_N, Math.min(MAX_N, n));
-    if (nn !== n) { setN(nn); return; }
+    const clamp = v => Math.max(MIN_N, Math.min(MAX_N, v));
+    if (clamp(rows) !== rows) { setRows(clamp(rows)); return; }
+    if (clamp(cols) !== cols) { setCols(clamp(cols)); return; }
     resetAnim();
     viewRef.current?.draw?.();
     drawGridOverlay();
-  }, [n]);
+  }, [rows, cols]);
 
 
-  const showNoPathToast = () => {
+  const showToast = (msg, ms = 2500) => {
     if (toastTimerRef.current) clearTimeout(toastTimerRef.current)
-  setToastMsg('No path found')
-  toastTimerRef.current = setTimeout(() => setToastMsg(null), 2500)
+    setToastMsg(msg)
+    toastTimerRef.current = setTimeout(() => setToastMsg(null), ms)
   }
+  const showNoPathToast = () => showToast('No path found')
 
   useEffect(() => {
     return() => { if (toastTimerRef.current) clearTimeout(toastTimerRef.current) }
   }, [])
 
+  useEffect(() => () => solverRef.current?.destroy(), [])
+
 
   useEffect(() => {
     document.body.classList.remove('theme-light', 'theme-dark')
@@ -240,15 +510,40 @@ export default function App() {
 
   useEffect(() => {
     if (visual !== 'maze') return;
+    setTimePos(timeOf(animRef.current));
     viewRef.current?.draw?.();
     drawGridOverlay();
-  }, [showDetails]);
+  }, [showDetails, cellNumbers, heatmap, parentArrows]);
+
+  // h and f belong to A* and JPS
+  useEffect(() => {
+    if (HEURISTIC_ALGS.includes(alg)) return
+    if (cellNumbers === 'h' || cellNumbers === 'f') setCellNumbers('dist')
+  }, [alg])
+
+  // a different movement rule, heuristic or tie-break invalidates the computed run
+  useEffect(() => {
+    if (visual !== 'maze') return;
+    resetAnim();
+  }, [connectivity, heuristic, epsilon, tie, seed]);
 
   const press = (which) => setNodeUIMode(m => (m === which ? null : which))
 
   // when you leave Nodes mode, clear any toggle
   useEffect(() => { if (visual !== 'nodes') setNodeUIMode(null) }, [visual])
 
+  // a matrix belongs to one run of one algorithm
+  useEffect(() => { setFwRun(null); setFwSel(null); setNodeCheck(null); setRunNote(null); setMetrics(null); setCodeAt(null); setFrameNo(0) }, [alg, visual])
+
+  // ring the cell or node hovered in the inspector
+  useEffect(() => {
+    const view = viewRef.current
+    if (!view) return
+    if (visual === 'nodes') { view.setInspected?.(inspectKey); return }
+    view.setHighlight?.(inspectKey === null ? null : cellOfKey(inspectKey))
+    drawGridOverlay()
+  }, [inspectKey])
+
   // Keep alg valid when switching visual
   useEffect(() => {
     if (visual === 'maze' && !MAZE_ALGS.includes(alg)) setAlg('dijkstra')
@@ -260,7 +555,7 @@ export default function App() {
     if (visual !== 'nodes') return
     const v = viewRef.current
     if (!v?.setShowWeights) return
-    const usesWeights = alg === 'dijkstra' // BFS/DFS ignore weights
+    const usesWeights = WEIGHTED_NODE_ALGS.includes(alg) // BFS/DFS ignore weights
     v.setShowWeights(usesWeights)
   }, [alg, visual])
 
@@ -294,6 +589,15 @@ export default function App() {
   const canvasRef = useRef(null)
   const modelRef  = useRef(null)  // GridModel | NodeModel
   const viewRef   = useRef(null)  // GridView | NodeView
+  const pendingModelRef = useRef(null)  // imported model waiting for the setup effect
+  const fileInputRef = useRef(null)
+  const [boardKey, setBoardKey] = useState(0)  // bump to rebuild model+view (imports)
+
+  // undo/redo for board edits; cleared whenever the model is replaced
+  const [, setHistoryTick] = useState(0)
+  const historyRef = useRef(null)
+  if (!historyRef.current) historyRef.current = new History({ onChange: () => setHistoryTick(t => t + 1) })
+  const history = historyRef.current
 
   const needRef = useRef(null) 
   const howRef = useRef(null)
@@ -333,9 +637,9 @@ export default function App() {
     }
 
 
-  // Grid animation state
+  // Grid animation state: trace frames replay first (when details are on), then the path
   const animRef = useRef({
-    path: [], pos: 0, branches: [],
+    path: [], pos: 0, frames: [], fpos: 0, replay: emptyReplay(), bookmarks: [],
     timer: null,      
     playing: false,
     rafId: null,
@@ -409,7 +713,7 @@ export default function App() {
     check()
 
     return () => { ro.disconnect(); window.removeEventListener('resize', check) }
-  }, [visual, n, showDetails, alg, theme])
+  }, [visual, rows, cols, showDetails, alg, theme, heuristic, fwRun, nodeCheck, runNote])
 
 
 
@@ -421,22 +725,29 @@ export default function App() {
     const canvas = canvasRef.current
     if (!canvas) return
 
+    finishCarving()
     if (viewRef.current?.destroy) {
       try { viewRef.current.destroy() } catch {}
     }
 
-    // Lock the on-page canvas size to a square; the drawn size matches exactly.
+    // Lock the on-page canvas size to a square; GridView then sizes it to the board.
     canvas.style.width  = `${GRID_SIZE}px`
     canvas.style.height = `${GRID_SIZE}px`
 
+    // an imported model replaces the fresh one for its mode
+    const loaded = pendingModelRef.current
+    pendingModelRef.current = null
+
+    history.clear()
+
     if (visual === 'maze') {
-      modelRef.current = new GridModel(n, n)
+      modelRef.current = loaded instanceof GridModel ? loaded : new GridModel(rows, cols)
       const style = getComputedStyle(document.body)
       const grid = style.getPropertyValue('--grid-lines').trim() || (theme==='dark' ? 'rgba(148,163,184,.28)' : 'rgba(229,231,235,.8)')
       const wall = style.getPropertyValue('--wall').trim()       || (theme==='dark' ? '#334155'              : '#0f172a')
 
       viewRef.current = new GridView(canvas, modelRef.current, {
-        cellSize: cellPx,   // exactly GRID_SIZE / n
+        cellSize: cellPx,   // GRID_SIZE / the longer side
         bgColor: null,
         gridColor: grid,
         wallColor: wall,
@@ -446,26 +757,47 @@ export default function App() {
       viewRef.current.draw()
       resetAnim()
     } else {
-      modelRef.current = new NodeModel()
-      viewRef.current  = new NodeView(canvas, modelRef.current)
+      modelRef.current = loaded instanceof NodeModel ? loaded : new NodeModel()
+      viewRef.current  = new NodeView(canvas, modelRef.current, {
+        history,
+        // keep the Floyd-Warshall matrix on the k being replayed
+        onFrame: (frame, done) => {
+          const round = frame.find(ev => ev.type === EV.ROUND && ev.k !== undefined)
+          if (round) setFwStep(round.i + 1)
+          else if (!frame.length) setFwStep(0)   // rewound to the start
+          if (done) setFwStep(Infinity)
+          const { replay } = viewRef.current.anim
+          const live = done ? null : { ...replay.stats }
+          setMetrics(m => m && { ...m, live })
+          setCodeAt(codeStep(INFO[algRef.current].code, CODE_STEPS[algRef.current], frame, replay))
+          setFrameNo(viewRef.current.anim.fpos)
+        },
+        onMove: () => setTimePos(viewRef.current.animPos()),
+      })
     }
 
     // DnD handlers unchanged...
     const onDragOver = e => e.preventDefault()
     const onDrop = e => {
       e.preventDefault()
+      if (e.dataTransfer.files?.length) { importScenario(e.dataTransfer.files[0]); return }
       const kind = e.dataTransfer.getData('text/plain')
       if (!kind) return
       const rect = canvas.getBoundingClientRect()
       if (visual === 'maze') {
         const [r, c] = viewRef.current.cssToCell(e.clientX - rect.left, e.clientY - rect.top)
+        if (!modelRef.current.inBounds(r, c)) return
+        const before = modelRef.current.snapshot()
         modelRef.current.setMarker(kind, r, c)
+        history.record(snapshotEdit(`place ${kind}`, modelRef.current, before))
         viewRef.current.draw()
       } else {
         const x = e.clientX - rect.left, y = e.clientY - rect.top
         const node = modelRef.current.nodeAt(x, y)
         if (!node) return
+        const before = modelRef.current.snapshot()
         modelRef.current.setMarker(kind, node)
+        history.record(snapshotEdit(`place ${kind}`, modelRef.current, before))
         viewRef.current.draw()
       }
     }
@@ -476,7 +808,7 @@ export default function App() {
       canvas.removeEventListener('dragover', onDragOver)
       canvas.removeEventListener('drop', onDrop)
     }
-  }, [visual, n, cellPx, renderScale, theme])  // ← no gridW/gridH here
+  }, [visual, rows, cols, cellPx, renderScale, theme, boardKey])
 
 
 
@@ -486,16 +818,26 @@ export default function App() {
     const canvas = canvasRef.current
     let isPainting = false, paintAdd = true, lastRC = null
 
+    // the cell under the pointer, or null off the board (strokes are tracked on window)
     const getCell = (ev) => {
       const rect = canvas.getBoundingClientRect()
-      const view = viewRef.current
-      return view?.cssToCell(ev.clientX - rect.left, ev.clientY - rect.top)
+      const rc = viewRef.current?.cssToCell(ev.clientX - rect.left, ev.clientY - rect.top)
+      return rc && modelRef.current?.inBounds(...rc) ? rc : null
     }
     const applyPaint = ([r, c]) => {
       const model = modelRef.current
       const view = viewRef.current
       if (!model || !view) return
-      if (paintAdd) model.addWall(r, c); else model.removeWall(r, c)
+      const before = model.cellState(r, c)
+      if (brush === 'wall') {
+        if (paintAdd) model.addWall(r, c); else model.removeWall(r, c)
+      } else {
+        if (paintAdd) model.setTerrain(r, c, brush); else model.clearTerrain(r, c)
+      }
+      const after = model.cellState(r, c)
+      if (before.wall !== after.wall || before.terrain !== after.terrain) {
+        history.record({ label: 'paint', undo: () => model.setCellState(r, c, before), redo: () => model.setCellState(r, c, after) })
+      }
       view.draw()
       clearAnim()
     }
@@ -506,7 +848,9 @@ export default function App() {
       if (!rc) return
       const model = modelRef.current
       if (!model) return
-      paintAdd = !model.isWall(...rc)
+      // first cell decides: paint if it doesn't have the brush yet, erase otherwise
+      paintAdd = brush === 'wall' ? !model.isWall(...rc) : model.terrainAt(...rc) !== brush
+      history.begin('paint')   // the whole stroke is one undo step
       applyPaint(rc)
       isPainting = true
       lastRC = rc
@@ -518,7 +862,10 @@ export default function App() {
       applyPaint(rc)
       lastRC = rc
     }
-    const onUp = () => { isPainting = false; lastRC = null }
+    const onUp = () => {
+      if (isPainting) history.commit()
+      isPainting = false; lastRC = null
+    }
 
     canvas.addEventListener('mousedown', onDown)
     window.addEventListener('mousemove', onMove)
@@ -529,32 +876,110 @@ export default function App() {
       window.removeEventListener('mousemove', onMove)
       window.removeEventListener('mouseup', onUp)
     }
-  }, [visual, n, cellPx])
+  }, [visual, rows, cols, cellPx, brush])
 
   // Fix typo True -> true
   // (We can't edit the string above easily; patch quickly by redefining isPainting setter.)
 
   function clearAnim() {
+    solverRef.current?.cancel()
     const a = animRef.current
     if (a.timer) clearInterval(a.timer)
     if (a.rafId) cancelAnimationFrame(a.rafId)
     animRef.current = {
-      path: [], pos: 0, branches: [],
+      path: [], pos: 0, frames: [], fpos: 0, replay: emptyReplay(), bookmarks: [],
       timer: null, playing: false,
       rafId: null, lastTs: null, acc: 0, msPerStep: Number(speed)
     }
+    setMetrics(null)
+    setCodeAt(null)
+    setFrameNo(0)
+    setTimePos(0)
+    setInspectKey(null)
+  }
+
+  // maze carving in progress: the generator's ops, applied a few per frame
+  // (`before` is the board to return to on undo, recorded once the carving ends)
+  const carveRef = useRef({ model: null, ops: [], i: 0, rafId: null, before: null })
+
+  function recordCarving(k) {
+    if (k.before) history.record(snapshotEdit('generate maze', k.model, k.before))
+    k.before = null
+  }
+
+  // apply whatever is left of the carving at once
+  function finishCarving() {
+    const k = carveRef.current
+    if (k.rafId) cancelAnimationFrame(k.rafId)
+    for (; k.i < k.ops.length; k.i++) applyMazeOp(k.model, k.ops[k.i])
+    recordCarving(k)
+    carveRef.current = { model: null, ops: [], i: 0, rafId: null, before: null }
   }
 
   function resetAnim() {
     clearAnim()
+    setRunNote(null)
     viewRef.current?.draw?.()
   }
 
+  // trace frames are only replayed while "Show details" is on
+  const replaying = a => showDetails && a.fpos < a.frames.length
+
+  // the replay the cell overlays read: the one being played, or with details
+  // off the whole run (replayed once, on first use)
+  const overlayReplay = a => (showDetails ? a.replay : (a.full ??= replayTo(a.frames, a.frames.length)))
+
+  // advance one trace frame, or one path cell once the replay is done
+  function advance(a) {
+    if (replaying(a)) {
+      const frame = a.frames[a.fpos++]
+      applyFrame(a.replay, frame)
+      const live = replaying(a) ? { ...a.replay.stats } : null
+      setMetrics(m => m && { ...m, live })
+      setCodeAt(codeStep(INFO[alg].code, CODE_STEPS[alg], frame, a.replay))
+      setFrameNo(a.fpos)
+    }
+    else if (a.pos < a.path.length - 1) a.pos++
+    setTimePos(timeOf(a))
+  }
+
+  // the grid run as one timeline: replayed frames (details on), then path moves
+  const timeOf = a => (showDetails ? a.fpos : 0) + a.pos
+  const timeLength = a => (a.path.length ? (showDetails ? a.frames.length : 0) + a.path.length - 1 : 0)
+
+  // pause at timeline step t; going back replays the trace from its start
+  function seekGrid(t) {
+    const a = animRef.current
+    if (!a.path.length) return
+    handlePause()
+    t = Math.max(0, Math.min(Math.round(t), timeLength(a)))
+    if (showDetails) {
+      const f = Math.min(t, a.frames.length)
+      if (f < a.fpos) { a.replay = replayTo(a.frames, f); a.fpos = f }
+      while (a.fpos < f) applyFrame(a.replay, a.frames[a.fpos++])
+      const frame = a.frames[a.fpos - 1]
+      const live = replaying(a) ? { ...a.replay.stats } : null
+      setMetrics(m => m && { ...m, live })
+      setCodeAt(frame ? codeStep(INFO[alg].code, CODE_STEPS[alg], frame, a.replay) : null)
+      setFrameNo(a.fpos)
+      t -= f
+    }
+    a.pos = t
+    a.acc = 0
+    setTimePos(timeOf(a))
+    viewRef.current.draw()
+    drawGridOverlay()
+  }
+
+  function handleSeek(t) {
+    if (visual === 'maze') seekGrid(t)
+    else viewRef.current.seekAnim?.(t)
+  }
+
   function stepAnim() {
     const a = animRef.current
     if (!a.path.length) return
-    if (a.pos < a.path.length - 1) a.pos++
-    for (const b of a.branches) { if (b.pos < b.path.length - 1) b.pos++ }
+    advance(a)
     viewRef.current.draw()
     drawGridOverlay()
   }
@@ -571,107 +996,143 @@ export default function App() {
 
   ctx.save()
 
+  const a = animRef.current
+  const cellCenter = ({ r, c }) => [c * cs + cs / 2, r * cs + cs / 2]
+
+  // --- CELL OVERLAYS (heatmap under the replay, numbers and arrows over it) ---
+  const over = heatmap !== 'none' || cellNumbers !== 'none' || parentArrows ? overlayReplay(a) : null
+  if (heatmap !== 'none') v.drawHeatmap(OVERLAY_VALUES[heatmap].of(over))
+
+  // --- TRACE REPLAY ---
+  if (showDetails) v.drawReplay(a.replay, { jumps: a.jumps })
+
+  if (parentArrows) v.drawParents(over.from)
+  if (cellNumbers !== 'none') v.drawValues(OVERLAY_VALUES[cellNumbers].of(over))
+
+  if (showDetails) {
+    // events of the current frame: popped cell, improved and rejected relaxations;
+    // the path is drawn once the replay has caught up
+    if (replaying(a)) {
+      ctx.lineWidth = Math.max(1, cs * .08)
+      for (const ev of a.replay.last) {
+        if (ev.type === EV.SETTLE)      ctx.strokeStyle = '#f59e0b'   // amber-500
+        else if (ev.type === EV.RELAX)  ctx.strokeStyle = '#16a34a'   // green-600
+        else if (ev.type === EV.REJECT) ctx.strokeStyle = 'rgba(239,68,68,.6)'
+        else continue
+        ctx.strokeRect(ev.c * cs + cs * .18, ev.r * cs + cs * .18, cs * .64, cs * .64)
+        if (ev.jump && ev.from) {   // the jump that found this point
+          ctx.beginPath(); ctx.moveTo(...cellCenter(ev.from)); ctx.lineTo(...cellCenter(ev)); ctx.stroke()
+        }
+      }
+      ctx.restore()
+      return
+    }
+  }
+
   // --- MAIN PATH ---
   // breadcrumbs (visited on main path so far) – adapt color for dark mode visibility
   const breadcrumbColor = theme === 'dark'
     ? 'rgba(255,255,255,0.55)'   // light dots on dark background
     : 'rgba(17,24,39,0.70)'      // dark dots on light background
-  ctx.fillStyle = breadcrumbColor
-
-  
-  for (let i = 0; i <= animRef.current.pos; i++) {
-    const { r, c } = animRef.current.path[i]
-    ctx.fillRect(c * cs + cs * .32, r * cs + cs * .32, cs * .18, cs * .18)
-  }
 
   // moving dot (interpolated between pos and pos+1)
-  const a = animRef.current
   const p0 = a.path[a.pos]
   const p1 = a.path[Math.min(a.pos + 1, a.path.length - 1)]
   const headX = (p0.c + (p1.c - p0.c) * f) * cs + cs / 2
   const headY = (p0.r + (p1.r - p0.r) * f) * cs + cs / 2
 
+  // trail through cell centres so diagonal moves read as diagonals
+  ctx.strokeStyle = breadcrumbColor
+  ctx.lineWidth = Math.max(1, cs * .06)
+  ctx.beginPath()
+  for (let i = 0; i <= a.pos; i++) {
+    const [x, y] = cellCenter(a.path[i])
+    if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y)
+  }
+  ctx.lineTo(headX, headY)
+  ctx.stroke()
+
+  ctx.fillStyle = breadcrumbColor
+  for (let i = 0; i <= a.pos; i++) {
+    const { r, c } = a.path[i]
+    ctx.fillRect(c * cs + cs * .32, r * cs + cs * .32, cs * .18, cs * .18)
+  }
+
   ctx.fillStyle = '#2563eb'
   ctx.beginPath()
   ctx.arc(headX, headY, cs * .34, 0, Math.PI * 2)
   ctx.fill()
 
-  // --- BRANCHES (smooth) ---
-  if (showDetails) {
-    // treat squares as centered shapes for clean interpolation
-    const onMain = new Set(a.path.map(({ r, c }) => `${r},${c}`))
+  ctx.restore()
+}
 
-    const drawCenteredSquare = (cx, cy, size) => {
-      const half = size / 2
-      ctx.fillRect(cx - half, cy - half, size, size)
-    }
 
-    const VISITED_SIZE = cs * .44
-    const FRONTIER_SIZE = cs * .44
-
-    // visited style
-    const visitedFill = 'rgba(100,116,139,.35)'       // slate-500 @ 35%
-    // frontier moving block (slightly stronger)
-    const frontierFill = 'rgba(100,116,139,.55)'
-
-    for (const b of a.branches) {
-      if (!b.path?.length) continue
-
-      // 1) Draw fully visited squares up to b.pos - 1
-      ctx.fillStyle = visitedFill
-      for (let i = 0; i < Math.min(b.pos, b.path.length); i++) {
-        const { r: br, c: bc } = b.path[i]
-        if (onMain.has(`${br},${bc}`)) continue
-        const cx = bc * cs + cs / 2
-        const cy = br * cs + cs / 2
-        drawCenteredSquare(cx, cy, VISITED_SIZE)
-      }
-
-      // 2) Interpolated frontier square between b.pos and b.pos+1
-      if (b.pos < b.path.length) {
-        const b0 = b.path[b.pos]
-        const b1 = b.path[Math.min(b.pos + 1, b.path.length - 1)]
-
-        // Skip if frontier is sitting on the main path cell
-        const tag0 = `${b0.r},${b0.c}`
-        if (!onMain.has(tag0)) {
-          const bx = (b0.c + (b1.c - b0.c) * f) * cs + cs / 2
-          const by = (b0.r + (b1.r - b0.r) * f) * cs + cs / 2
-
-          // slightly grow/shrink for life
-          const pulse = 1 + 0.06 * Math.sin(performance.now() / 180)
-          ctx.fillStyle = frontierFill
-          drawCenteredSquare(bx, by, FRONTIER_SIZE * pulse)
-
-          // 3) Interpolated frontier ring (orange glow)
-          ctx.fillStyle = 'rgba(252,146,31,.45)'
-          ctx.beginPath()
-          ctx.arc(bx, by, cs * .20, 0, Math.PI * 2)
-          ctx.fill()
-        }
-      }
+  // Run `runs` ([{ alg, opts }]) in the solver worker after checking their
+  // estimates (asking about the costliest heavy one); null when declined,
+  // cancelled or failed
+  async function solve(kind, runs) {
+    const main = runs[0].alg
+    const heavy = runs
+      .map(({ alg, opts }) => ({ alg, ...estimateRun(kind, alg, modelRef.current, opts) }))
+      .filter(est => est.heavy)
+      .sort((a, b) => b.bytes - a.bytes || b.ms - a.ms)[0]
+    if (heavy && !window.confirm(
+      `${INFO[heavy.alg].title} on this board needs about ${formatBytes(heavy.bytes)} of memory and ${formatDuration(heavy.ms)} to compute. ` +
+      'The page may stop responding or run out of memory. Run it anyway?')) return null
+
+    if (!solverRef.current) solverRef.current = new Solver()
+    setBusy({ alg: main, progress: null })
+    try {
+      return await solverRef.current.run(kind, modelRef.current, runs, {
+        onProgress: progress => setBusy(b => b && { ...b, progress }),
+      })
+    } catch (err) {
+      if (!(err instanceof CancelledError)) showToast(`${INFO[main].title} failed: ${err.message}`, 5000)
+      return null
+    } finally {
+      setBusy(null)
     }
   }
 
-  ctx.restore()
-}
-
-
-  function computeIfNeeded() {
-    if (visual === 'maze') {
-      if (!animRef.current.path.length) {
-        const fn = ALG[alg] || ALG.dijkstra
-        const res = fn(modelRef.current) || { path: [], branches: [] }
-        animRef.current.path = res.path
-        animRef.current.branches = (res.branches || []).map(p => ({ path: p, pos: 0 }))
-        animRef.current.pos = 0
-
-        viewRef.current.draw();
-        drawGridOverlay();
-      }
-    } else {
-      // Node mode path will be computed in play handler if needed
+  // resolves true once a run is ready to animate
+  async function computeIfNeeded() {
+    if (visual !== 'maze') return false   // Node mode computes in computeNodeRun
+    if (carveRef.current.rafId) { finishCarving(); viewRef.current.draw() }
+    if (animRef.current.path.length) return true
+
+    const runs = [{ alg, opts: { connectivity, heuristic, epsilon, tie, seed } }]
+    if (alg === 'jps') runs.push({ alg: 'astar', opts: { connectivity, tie, seed } })
+    if (BIDIRECTIONAL.includes(alg)) runs.push({ alg: 'dijkstra', opts: { connectivity, seed } })
+    const results = await solve('grid', runs)
+    if (!results) return false
+    const [res, ref] = results
+
+    if (alg === 'jps') {
+      setRunNote(`JPS expanded ${res.stats.expanded} jump points (${res.stats.generated} generated) · A*: ${ref.stats.expanded} cells (${ref.stats.generated} generated)`)
+      if (modelRef.current.hasTerrain()) showToast('Jump Point Search assumes uniform cost: terrain is ignored', 4000)
+    }
+    if (BIDIRECTIONAL.includes(alg)) {
+      setRunNote(`Settled ${res.stats.expanded} cells from both ends · one-directional Dijkstra: ${ref.stats.expanded}`)
     }
+    setMetrics({
+      stats: res.stats,
+      cost: res.path.length ? gridPathCost(modelRef.current, res.path, connectivity) : null,
+      live: showDetails && res.path.length && res.traced ? emptyStats() : null,
+    })
+    if (!res.traced) showToast('This search is too long to record: only its path is shown', 4000)
+    animRef.current.path = res.path
+    animRef.current.jumps = !!res.jumpPoints
+    animRef.current.frames = traceFrames(res.trace)
+    animRef.current.bookmarks = traceBookmarks(animRef.current.frames, traceKey(modelRef.current.end))
+    animRef.current.fpos = 0
+    animRef.current.replay = emptyReplay()
+    animRef.current.full = null
+    animRef.current.pos = 0
+    setTimePos(0)
+
+    viewRef.current.draw();
+    drawGridOverlay();
+    return true
   }
 
   function startRAF() {
@@ -689,40 +1150,68 @@ export default function App() {
       a.lastTs = ts
       a.acc += dt
 
-      // advance whole cells as needed
-      while (a.acc >= a.msPerStep && a.pos < a.path.length - 1) {
-        a.acc -= a.msPerStep
-        a.pos++
-        for (const b of a.branches) if (b.pos < b.path.length - 1) b.pos++
+      // advance whole trace frames / cells as needed (frames replay 4x faster)
+      const stepMs = () => (replaying(a) ? a.msPerStep / 4 : a.msPerStep)
+      while (a.acc >= stepMs() && (replaying(a) || a.pos < a.path.length - 1)) {
+        a.acc -= stepMs()
+        advance(a)
       }
-      const frac = Math.min(a.acc / a.msPerStep, 1) || 0
+      const frac = replaying(a) ? 0 : Math.min(a.acc / a.msPerStep, 1) || 0
 
       // draw frame
       viewRef.current.draw()
       drawGridOverlay(frac)
 
-      if (a.pos >= a.path.length - 1) { handlePause(); return }
+      if (!replaying(a) && a.pos >= a.path.length - 1) { handlePause(); return }
       a.rafId = requestAnimationFrame(tick)
     }
     a.rafId = requestAnimationFrame(tick)
   }
 
-  function handlePlay() {
+  // Run the selected node algorithm; returns null (after telling the user why) when there is nothing to animate
+  async function computeNodeRun() {
+    const model = modelRef.current
+    const runs = [{ alg, opts: { scale: nodeScale, tie, seed } }]
+    if (alg === 'astar' || BIDIRECTIONAL.includes(alg)) runs.push({ alg: 'dijkstra', opts: { seed } })
+    const results = await solve('nodes', runs)
+    if (!results) return null
+    const [res, ref] = results
+
+    if (alg === 'astar') checkHeuristic(res, ref)
+    const animated = res.path.length && !res.run?.negative.length && !res.cycle?.length
+    setMetrics({ stats: res.stats, cost: res.path.length ? model.pathCost(res.path) : null, live: animated ? emptyStats() : null })
+    if (BIDIRECTIONAL.includes(alg) && !res.cycle?.length) {
+      setRunNote(`Settled ${res.stats.expanded} nodes from both ends · one-directional Dijkstra: ${ref.stats.expanded}`)
+    }
+    if (res.run) { setFwRun(res.run); setFwStep(0); setFwSel(null) }
+    if (res.run?.negative.length) {
+      showToast(`Negative cycle through ${res.run.negative.join(', ')}: no shortest paths`, 4000)
+      return null
+    }
+    if (res.cycle?.length) {
+      viewRef.current.setCycle(res.cycle)
+      showToast(`Negative cycle reachable: ${res.cycle.join(' → ')}`, 4000)
+      return null
+    }
+    if (!res.path.length) { showNoPathToast(); return null }
+    if ((alg === 'dijkstra' || alg === 'biDijkstra') && model.edges.some(e => e.w < 0)) {
+      showToast(`Graph has negative edges: ${INFO[alg].title} may not find the shortest path (try Bellman-Ford)`, 4000)
+    }
+    return res
+  }
+
+  async function handlePlay() {
+    if (busy) return
     if (visual === 'maze') {
-      computeIfNeeded()
+      if (!(await computeIfNeeded())) return
       if (!animRef.current.path.length) { showNoPathToast(); return }
       startRAF()
     } else {
       const view = viewRef.current
-      const compute = () => {
-        if (alg === 'bfs') return bfsNodePath(modelRef.current)
-        if (alg === 'dfs') return dfsNodePath(modelRef.current)
-        return dijkstraNodePath(modelRef.current)
-      }
       if (!view.anim.path.length) {
-        const path = compute()
-        if (!path.length) { showNoPathToast(); return }
-        view.startAnim(path)
+        const res = await computeNodeRun()
+        if (!res) return
+        view.startAnim(res.path, res.trace)
       } else {
         view.anim.playing = true
         view._tick?.()
@@ -744,24 +1233,19 @@ export default function App() {
   
 
   
-  function handleStep() {
+  async function handleStep() {
+    if (busy) return
     if (visual === 'maze') {
-      computeIfNeeded()
+      if (!(await computeIfNeeded())) return
       handlePause()
       stepAnim()
     } else {
       const v = viewRef.current
-      const compute = () => {
-        if (alg === 'bfs') return bfsNodePath(modelRef.current)
-        if (alg === 'dfs') return dfsNodePath(modelRef.current)
-        return dijkstraNodePath(modelRef.current)
-      }
       if (!v.anim.path.length) {
-        const path = compute()
-
-        if (!path.length) { showNoPathToast(); return }
+        const res = await computeNodeRun()
+        if (!res) return
 
-        v.startAnim(path)
+        v.startAnim(res.path, res.trace)
         v.pauseAnim?.()
       } else {
         v.stepAnim?.()
@@ -772,8 +1256,119 @@ export default function App() {
     if (visual === 'maze') {
       clearAnim(); viewRef.current.draw(); drawGridOverlay()
     } else {
+      solverRef.current?.cancel()
       viewRef.current.resetAnim?.()
+      setFwRun(null); setFwSel(null); setRunNote(null); setMetrics(null); setCodeAt(null); setFrameNo(0); setInspectKey(null)
+    }
+  }
+
+  // Scenario files: the current model as JSON, or a saved one loaded into its mode
+  const exportScenario = () => {
+    const m = modelRef.current
+    if (!m) return
+    finishCarving()
+    const blob = new Blob([JSON.stringify(m, null, 2)], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = visual === 'maze' ? `maze-${m.rows}x${m.cols}.json` : `graph-${m.nodes.length}-nodes.json`
+    a.click()
+    URL.revokeObjectURL(url)
+  }
+
+  // validated scenario data -> its model, switched in through the setup effect
+  const loadScenario = data => {
+    if (data.kind === 'grid') {
+      const model = GridModel.fromJSON(data)
+      expect(Math.min(model.rows, model.cols) >= MIN_N,
+        `Maze mode needs at least ${MIN_N} cells per side, not ${model.rows}×${model.cols}`)
+      pendingModelRef.current = model
+      setVisual('maze')
+      setRows(model.rows)
+      setCols(model.cols)
+    } else {
+      pendingModelRef.current = NodeModel.fromJSON(data)
+      setVisual('nodes')
+    }
+    setBoardKey(k => k + 1)
+  }
+
+  const importScenario = async file => {
+    try {
+      loadScenario(readScenario(await file.text()))
+      showToast(`Loaded ${file.name}`)
+    } catch (err) {
+      if (!(err instanceof ScenarioError)) throw err
+      showToast(`Can't load ${file.name}: ${err.message}`, 5000)
+    }
+  }
+
+  // Share links: board, algorithm and settings in the URL hash
+  const copyLink = async () => {
+    const m = modelRef.current
+    if (!m) return
+    finishCarving()
+    const settings = { connectivity, heuristic, epsilon, tie, seed, mazeType, braided, showDetails, speed: Number(speed), nodeScale }
+    window.history.replaceState(null, '', shareHash(m, alg, settings))
+    try {
+      await navigator.clipboard.writeText(window.location.href)
+      showToast('Link copied')
+    } catch {
+      showToast('Clipboard unavailable: copy the link from the address bar', 4000)
+    }
+  }
+
+  // unknown or out-of-range settings in a link are skipped, not fatal
+  const applySharedSettings = (kind, a, s) => {
+    if ((kind === 'grid' ? MAZE_ALGS : NODE_ALGS).includes(a)) setAlg(a)
+    if (CONNECTIVITY[s.connectivity]) setConnectivity(s.connectivity)
+    if (HEURISTICS[s.heuristic]) setHeuristic(s.heuristic)
+    if (Number.isFinite(s.epsilon) && s.epsilon >= 1) setEpsilon(s.epsilon)
+    if (TIE_BREAKS[s.tie]) setTie(s.tie)
+    if (Number.isInteger(s.seed) && s.seed >= 1) setSeed(s.seed)
+    if (MAZES[s.mazeType]) setMazeType(s.mazeType)
+    if (typeof s.braided === 'boolean') setBraided(s.braided)
+    if (typeof s.showDetails === 'boolean') setShowDetails(s.showDetails)
+    if (Number.isFinite(s.speed)) setSpeed(Math.max(10, Math.min(500, s.speed)))
+    if (Number.isFinite(s.nodeScale) && s.nodeScale >= 0) setNodeScale(s.nodeScale)
+  }
+
+  // open the board in the URL hash on load, and when another link is pasted in
+  useEffect(() => {
+    const openLink = () => {
+      try {
+        const shared = readShareHash(window.location.hash)
+        if (!shared) return
+        loadScenario(shared.data)
+        applySharedSettings(shared.data.kind, shared.alg, shared.settings)
+      } catch (err) {
+        if (!(err instanceof ScenarioError)) throw err
+        showToast(`Can't open link: ${err.message}`, 5000)
+      }
+    }
+    openLink()
+    window.addEventListener('hashchange', openLink)
+    return () => window.removeEventListener('hashchange', openLink)
+  }, []) // eslint-disable-line react-hooks/exhaustive-deps
+
+  // A* (Nodes): check h against the current weights; with a run, also compare node counts to Dijkstra
+  const checkHeuristic = (res = null, dijRes = null) => {
+    const model = modelRef.current
+    const check = checkNodeHeuristic(model, { scale: nodeScale })
+    if (res) {
+      check.settled = res.stats.expanded
+      check.dijSettled = dijRes.stats.expanded
     }
+    setNodeCheck(check)
+  }
+
+  // clicking a matrix cell shows that pair's path at the current k
+  const selectFwPair = (i, j) => {
+    setFwSel({ i, j })
+    const { next } = fwMatrixAt(fwRun, fwShown)
+    const ids = fwPath(next, i, j).map(v => fwRun.ids[v])
+    viewRef.current.setHighlightPath?.(ids)
+    if (!ids.length) showToast(`No path ${fwRun.ids[i]} → ${fwRun.ids[j]} yet`)
   }
 
   // UI helpers for marker drag
@@ -782,29 +1377,74 @@ export default function App() {
   }
 
   // Maze utilities
-  const generateMaze = () => {
+  // a new board from a fresh seed; buildBoard(seed) recreates one exactly
+  const generateMaze = () => buildBoard(randomSeed())
+
+  const buildBoard = s => {
     const m = modelRef.current
     if (!m) return
 
-    m.clear()
-    m.randomFill(0.32)
-
-    if (m.start) m.removeWall(m.start.r, m.start.c)
-    if (m.end) m.removeWall(m.end.r, m.end.c)
+    setSeed(s)
+    finishCarving()
+    resetAnim()
+    const before = m.snapshot()
+    const plan = buildMaze(m, mazeType, { braided, rng: createRng(s) })
+    resetMaze(m, plan)
+    if (!animateMaze) {
+      plan.ops.forEach(op => applyMazeOp(m, op))
+      history.record(snapshotEdit('generate maze', m, before))
+      viewRef.current.draw()
+      return
+    }
 
-    clearAnim()
-    viewRef.current.draw()
-    drawGridOverlay()
+    // about three seconds of carving whatever the grid size
+    const k = carveRef.current = { model: m, ops: plan.ops, i: 0, rafId: null, before }
+    const perFrame = Math.max(1, Math.ceil(plan.ops.length / 180))
+    const tick = () => {
+      for (let j = 0; j < perFrame && k.i < k.ops.length; j++, k.i++) applyMazeOp(m, k.ops[k.i])
+      viewRef.current.draw()
+      k.rafId = k.i < k.ops.length ? requestAnimationFrame(tick) : null
+      if (!k.rafId) recordCarving(k)
+    }
+    k.rafId = requestAnimationFrame(tick)
   }
 
   const clearMaze = () => {
     const m = modelRef.current
     if (!m) return
+    finishCarving()
+    const before = m.snapshot()
     m.clear()
+    history.record(snapshotEdit('clear maze', m, before))
     clearAnim()
     viewRef.current.draw()
   }
 
+  // Undo / redo: the model changed under the view, so drop any computed run
+  const undo = () => { finishCarving(); if (history.undo()) afterHistory() }
+  const redo = () => { finishCarving(); if (history.redo()) afterHistory() }
+  const afterHistory = () => {
+    handleReset()
+    setNodeCheck(null)
+    viewRef.current?.draw?.()
+  }
+
+  // the key listener is added once, hence undoRef
+  const undoRef = useRef(null)
+  undoRef.current = { undo, redo }
+
+  useEffect(() => {
+    const onKey = e => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return
+      if (e.target.closest?.('input, textarea, select')) return
+      const key = e.key.toLowerCase()
+      if (key === 'z' && !e.shiftKey) { e.preventDefault(); undoRef.current.undo() }
+      else if ((key === 'z' && e.shiftKey) || key === 'y') { e.preventDefault(); undoRef.current.redo() }
+    }
+    window.addEventListener('keydown', onKey)
+    return () => window.removeEventListener('keydown', onKey)
+  }, [])
+
 
   // Node utilities
   const addNode = () => viewRef.current.addNode?.()
@@ -814,6 +1454,22 @@ export default function App() {
 
   // Info panel content
   const info = INFO[alg]
+  // the replay the canvas shows (the node view may not exist yet right after a mode switch)
+  const shownReplay = visual === 'maze' ? animRef.current.replay : viewRef.current?.anim?.replay
+
+  // the shown run's timeline: its length and bookmarks, the frame ones only
+  // while frames are replayed, plus where the path animation takes over
+  const timeline = (() => {
+    const frames = visual === 'maze' ? (showDetails ? animRef.current.frames.length : 0) : viewRef.current?.anim?.frames.length ?? 0
+    const total = visual === 'maze' ? timeLength(animRef.current) : viewRef.current?.animLength?.() ?? 0
+    const marks = visual === 'maze' ? animRef.current.bookmarks : viewRef.current?.anim?.bookmarks ?? []
+    return { total, bookmarks: frames && total > frames ? [...marks, { at: frames, label: 'Path' }] : frames ? marks : [] }
+  })()
+  const showHeuristic = visual === 'maze' && alg === 'astar'
+  const showNodeHeuristic = visual === 'nodes' && alg === 'astar'
+  const admissible = isAdmissible(heuristic, { connectivity, epsilon })
+  const showMatrix = visual === 'nodes' && alg === 'floydWarshall' && fwRun
+  const fwShown = fwRun ? Math.min(fwStep, fwRun.ids.length) : 0
 
   return (
     <>
@@ -835,6 +1491,8 @@ export default function App() {
               </button>
             )}
 
+            <a className="iconBtn" href="benchmark.html" aria-label="Open the benchmark page" title="Benchmark">⏱︎</a>
+
             <button
               className="iconBtn"
               onClick={() => setTheme(t => (t === 'dark' ? 'light' : 'dark'))}
@@ -863,12 +1521,20 @@ export default function App() {
                   <option value="astar">A*</option>
                   <option value="bellmanFord">Bellman-Ford</option>
                   <option value="floydWarshall">Floyd-Warshall</option>
+                  <option value="jps">Jump Point Search</option>
+                  <option value="biBfs">Bidirectional BFS</option>
+                  <option value="biDijkstra">Bidirectional Dijkstra</option>
                 </>
               ) : (
                 <>
                   <option value="dijkstra">Dijkstra (weighted)</option>
+                  <option value="astar">A* (pixel-distance heuristic)</option>
+                  <option value="bellmanFord">Bellman-Ford (negative weights)</option>
+                  <option value="floydWarshall">Floyd-Warshall (all pairs)</option>
                   <option value="bfs">BFS (unweighted)</option>
                   <option value="dfs">DFS (any path)</option>
+                  <option value="biBfs">Bidirectional BFS</option>
+                  <option value="biDijkstra">Bidirectional Dijkstra</option>
                 </>
               )}
             </select>
@@ -878,6 +1544,8 @@ export default function App() {
           <button className="primary" onClick={handlePlay}>Play</button>
           <button onClick={handlePause}>Pause</button>
           <button onClick={handleStep}>Step</button>
+          <button onClick={() => { finishCarving(); setRaceOpen(true) }} title="Run several algorithms side by side">Race</button>
+          <button onClick={() => { finishCarving(); setVerifyOpen(true) }} title="Cross-check every algorithm on this board">Verify</button>
 
           <label>Speed:&nbsp;
             <input type="range" min="10" max="500" value={speed} onChange={e => setSpeed(e.target.value)} />
@@ -918,7 +1586,24 @@ export default function App() {
 
           {/* Maze controls */}
           <div className={"modePanel" + (visual === 'maze' ? ' visible' : '')}>
+            <select value={mazeType} onChange={e => setMazeType(e.target.value)} aria-label="Maze type">
+              {Object.entries(MAZES).map(([key, t]) => (
+                <option key={key} value={key}>{t.label}</option>
+              ))}
+            </select>
+            <select value={braided ? 'braided' : 'perfect'} onChange={e => setBraided(e.target.value === 'braided')} aria-label="Maze loops">
+              <option value="perfect">Perfect</option>
+              <option value="braided">Braided (no dead ends)</option>
+            </select>
             <button onClick={generateMaze}>Generate maze</button>
+            <label>Brush:&nbsp;
+              <select value={brush} onChange={e => setBrush(e.target.value)}>
+                <option value="wall">Wall</option>
+                {Object.entries(TERRAIN).map(([key, t]) => (
+                  <option key={key} value={key}>{t.label} (cost {t.cost})</option>
+                ))}
+              </select>
+            </label>
             <button onClick={clearMaze}>Clear</button>
           </div>
 
@@ -932,9 +1617,31 @@ export default function App() {
             </div>
           </div>
           
+          <button onClick={undo} disabled={!history.canUndo} title="Undo (Ctrl+Z)" aria-label="Undo">↶</button>
+          <button onClick={redo} disabled={!history.canRedo} title="Redo (Ctrl+Shift+Z)" aria-label="Redo">↷</button>
+
+          <button onClick={copyLink}>Copy link</button>
+          <button onClick={exportScenario}>Export</button>
+          <button onClick={() => fileInputRef.current?.click()}>Import</button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,application/json"
+            hidden
+            onChange={e => { if (e.target.files[0]) importScenario(e.target.files[0]); e.target.value = '' }}
+          />
+
           <button className="resetFull" onClick={handleReset}>Reset</button>
 
         </div>
+
+        {busy && (
+          <div className="busyBar" role="status">
+            <span>Computing {INFO[busy.alg].title}… {progressOf(busy.progress).text}</span>
+            <progress max="1" value={progressOf(busy.progress).value} />
+            <button onClick={() => solverRef.current?.cancel()}>Cancel</button>
+          </div>
+        )}
         
       </header>
 
@@ -943,6 +1650,37 @@ export default function App() {
 
         <div className="canvasWrap">
 
+          {raceOpen && (
+            <RaceView
+              visual={visual}
+              model={modelRef.current}
+              choices={(visual === 'maze' ? MAZE_ALGS : NODE_ALGS).map(key => ({ key, label: INFO[key].title }))}
+              initial={['dijkstra', 'astar']}
+              solve={keys => solve(visual === 'maze' ? 'grid' : 'nodes', keys.map(alg => ({
+                alg, opts: visual === 'maze' ? { connectivity, heuristic, epsilon, tie, seed } : { scale: nodeScale, tie, seed },
+              })))}
+              busy={busy && `Computing ${INFO[busy.alg].title}… ${progressOf(busy.progress).text}`}
+              onCancel={() => solverRef.current?.cancel()}
+              costOf={(m, path) => (visual === 'maze' ? gridPathCost(m, path, connectivity) : m.pathCost(path))}
+              speed={Number(speed)}
+              colors={{
+                grid: getComputedStyle(document.body).getPropertyValue('--grid-lines').trim() || 'rgba(229,231,235,.8)',
+                wall: getComputedStyle(document.body).getPropertyValue('--wall').trim() || '#0f172a',
+              }}
+              onClose={() => setRaceOpen(false)}
+            />
+          )}
+
+          {verifyOpen && (
+            <VerifyPanel
+              visual={visual}
+              model={modelRef.current}
+              opts={visual === 'maze' ? { connectivity, heuristic, epsilon, tie, seed } : { scale: nodeScale, tie, seed }}
+              onOpen={(model, s) => { loadScenario(model.toJSON()); setSeed(s); setVerifyOpen(false) }}
+              onClose={() => setVerifyOpen(false)}
+            />
+          )}
+
           {settingsOpen && visual === 'maze' && (
             <div
               id="settingsModal"
@@ -970,17 +1708,62 @@ export default function App() {
 
                 <div className="modalBody">
                   <label className="row">
-                    <span>Grid (n × n)</span>
+                    <span>Rows</span>
                     <input
-                      id="nInput"
+                      id="rowsInput"
                       type="number"
                       min={MIN_N}
                       max={MAX_N}
-                      value={n}
-                      onChange={e => setN(Number(e.target.value) || n)}
+                      value={rows}
+                      onChange={e => setRows(Number(e.target.value) || rows)}
                     />
                   </label>
 
+                  <label className="row">
+                    <span>Columns</span>
+                    <input
+                      id="colsInput"
+                      type="number"
+                      min={MIN_N}
+                      max={MAX_N}
+                      value={cols}
+                      onChange={e => setCols(Number(e.target.value) || cols)}
+                    />
+                  </label>
+
+                  <label className="row">
+                    <span>Seed</span>
+                    <span className="seedRow">
+                      <input
+                        type="number"
+                        min="1"
+                        value={seed}
+                        onChange={e => setSeed(Math.max(1, Math.floor(Number(e.target.value)) || 1))}
+                      />
+                      <button type="button" onClick={() => buildBoard(seed)} disabled={visual !== 'maze'}>
+                        Build maze
+                      </button>
+                    </span>
+                  </label>
+
+                  <label className="row">
+                    <span>Heap ties</span>
+                    <select value={tie} onChange={e => setTie(e.target.value)}>
+                      {Object.entries(TIE_BREAKS).map(([key, t]) => (
+                        <option key={key} value={key}>{t.label}</option>
+                      ))}
+                    </select>
+                  </label>
+
+                  <label className="row">
+                    <span>Movement</span>
+                    <select value={connectivity} onChange={e => setConnectivity(e.target.value)}>
+                      {Object.entries(CONNECTIVITY).map(([key, c]) => (
+                        <option key={key} value={key}>{c.label}</option>
+                      ))}
+                    </select>
+                  </label>
+
                   <label className="row checkboxRow">
                     <input
                       type="checkbox"
@@ -989,6 +1772,15 @@ export default function App() {
                     />
                     <span>Show details</span>
                   </label>
+
+                  <label className="row checkboxRow">
+                    <input
+                      type="checkbox"
+                      checked={animateMaze}
+                      onChange={e => setAnimateMaze(e.target.checked)}
+                    />
+                    <span>Animate maze generation</span>
+                  </label>
                 </div>
 
                 <div className="modalFooter">
@@ -1001,12 +1793,118 @@ export default function App() {
           )}
 
 
-        <canvas ref={canvasRef} />
-        <aside id="infoPanel" className="algoInfo" ref={infoRef}>
+        <div className="canvasCol">
+          <canvas ref={canvasRef} />
+          {timeline.total > 0 && (
+            <Timeline pos={timePos} total={timeline.total} bookmarks={timeline.bookmarks} onSeek={handleSeek} />
+          )}
+        </div>
+        <aside id="infoPanel" className={'algoInfo' + (showMatrix ? ' withMatrix' : '')} ref={infoRef}>
             <div className="infoHeader">
               <h2>{info.title}</h2>
+              {showHeuristic && (
+                <div className="heuristicPick">
+                  <label>h(v):&nbsp;
+                    <select value={heuristic} onChange={e => setHeuristic(e.target.value)}>
+                      {Object.entries(HEURISTICS).map(([key, h]) => (
+                        <option key={key} value={key}>{h.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  {heuristic === 'weighted' && (
+                    <label>ε&nbsp;
+                      <input
+                        type="number"
+                        min="1"
+                        max="10"
+                        step="0.5"
+                        value={epsilon}
+                        onChange={e => setEpsilon(Math.max(1, Number(e.target.value) || 1))}
+                      />
+                    </label>
+                  )}
+                  <span className={'badge ' + (admissible ? 'ok' : 'warn')}>
+                    {admissible ? 'admissible' : 'inadmissible'}
+                  </span>
+                  <span className="heuristicNote">{HEURISTICS[heuristic].note}</span>
+                </div>
+              )}
+              {showNodeHeuristic && (
+                <div className="heuristicPick">
+                  <label>h(v) = &nbsp;
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.1"
+                      value={nodeScale}
+                      onChange={e => { setNodeScale(Math.max(0, Number(e.target.value) || 0)); setNodeCheck(null) }}
+                    />
+                    &nbsp;× pixel distance
+                  </label>
+                  <button onClick={() => checkHeuristic()}>Check</button>
+                  {nodeCheck && (
+                    <>
+                      <span className={'badge ' + (nodeCheck.admissible ? 'ok' : 'warn')}>
+                        {nodeCheck.admissible ? 'admissible' : 'inadmissible'}
+                      </span>
+                      {!nodeCheck.consistent && !nodeCheck.negative && nodeCheck.admissible && (
+                        <span className="badge warn">inconsistent</span>
+                      )}
+                      <span className="heuristicNote">
+                        {nodeCheck.negative
+                          ? 'negative edges: A* cannot guarantee a shortest path'
+                          : nodeCheck.worst
+                            ? `h(${nodeCheck.worst.id}) = ${nodeCheck.worst.h.toFixed(1)} > true cost ${nodeCheck.worst.d}; lower the factor or raise weights`
+                            : 'h never exceeds the true cost to the goal'}
+                        {nodeCheck.settled !== undefined && ` · A* settled ${nodeCheck.settled} nodes, Dijkstra ${nodeCheck.dijSettled}`}
+                      </span>
+                    </>
+                  )}
+                </div>
+              )}
+              {visual === 'maze' && (
+                <div className="overlayPick">
+                  <label>Numbers&nbsp;
+                    <select value={cellNumbers} onChange={e => setCellNumbers(e.target.value)}>
+                      <option value="none">None</option>
+                      {Object.entries(OVERLAY_VALUES)
+                        .filter(([key]) => HEURISTIC_ALGS.includes(alg) || (key !== 'h' && key !== 'f'))
+                        .map(([key, o]) => <option key={key} value={key}>{o.label}</option>)}
+                    </select>
+                  </label>
+                  <label>Heatmap&nbsp;
+                    <select value={heatmap} onChange={e => setHeatmap(e.target.value)}>
+                      <option value="none">None</option>
+                      <option value="dist">Distance from Start</option>
+                      <option value="order">Settle step</option>
+                    </select>
+                  </label>
+                  {heatmap !== 'none' && <span className="heatLegend" title="low → high" style={{ background: HEAT_GRADIENT }} />}
+                  <label className="checkboxRow">
+                    <input type="checkbox" checked={parentArrows} onChange={e => setParentArrows(e.target.checked)} />
+                    Parent arrows
+                  </label>
+                  {(cellNumbers === 'order' || heatmap === 'order') && (alg === 'bellmanFord' || alg === 'floydWarshall') && (
+                    <span className="heuristicNote">{info.title} sweeps every edge and settles no cells one by one</span>
+                  )}
+                  {cellNumbers !== 'none' && cellPx < MIN_TEXT && (
+                    <span className="heuristicNote">cells are too small for numbers; use a smaller board or the heatmap</span>
+                  )}
+                </div>
+              )}
+              {runNote && <p className="runNote">{runNote}</p>}
             </div>
 
+            {showMatrix && (
+              <DistMatrix
+                run={fwRun}
+                step={fwShown}
+                onStep={setFwStep}
+                selected={fwSel}
+                onSelect={selectFwPair}
+              />
+            )}
+
             <div className="infoGrid">
               <section className="need" ref={needRef}>
                 <h3>1 · Need to Know</h3>
@@ -1022,7 +1920,7 @@ export default function App() {
 
               <section className="code">
                 <h3>3 · Pseudocode</h3>
-                <pre className="codeBlock">{info.code}</pre>
+                <CodeBlock code={info.code} step={codeAt} />
               </section>
             </div>
           </aside>
@@ -1030,13 +1928,35 @@ export default function App() {
 
           <section id="codeBelow" className="codeBelow">
             <h3>3 · Pseudocode</h3>
-            <pre className="codeBlock">{info.code}</pre>
+            <CodeBlock code={info.code} step={codeAt} />
           </section>
 
 
         </div>
 
-        <div id="metrics"></div>
+        <div id="metrics">
+          {metrics
+            ? <MetricsPanel {...metrics} iterations={alg === 'bellmanFord'} />
+            : <p className="metricsHint">Run an algorithm to see its stats.</p>}
+        </div>
+
+        <details id="inspector" open={inspectOpen} onToggle={e => setInspectOpen(e.currentTarget.open)}>
+          <summary>Inspector</summary>
+          {inspectOpen && (frameNo > 0 && shownReplay
+            ? <Inspector
+                kind={visual === 'maze' ? 'grid' : 'nodes'}
+                alg={alg}
+                replay={shownReplay}
+                frameNo={frameNo}
+                nodeIds={visual === 'maze' ? [] : modelRef.current.nodes.map(n => n.id)}
+                onHover={setInspectKey}
+              />
+            : <p className="metricsHint">
+                {visual === 'maze'
+                  ? 'Play or step a run with Show details on to see its queue, parents and distances.'
+                  : 'Play or step a run to see its queue, parents and distances.'}
+              </p>)}
+        </details>
 
         <div
           className={`toast ${toastMsg ? 'visible' : ''}`}
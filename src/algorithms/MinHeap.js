@@ -0,0 +1,93 @@
+// MinHeap: indexed binary min-heap with decrease-key.
+// Items are looked up by id, so a vertex is in the heap at most once.
+// `compare(a, b)` orders items; ties it leaves (returns 0) are broken by
+// insertion order: 'fifo' (oldest first) or 'lifo' (newest first), or by a
+// random rank drawn from `rng` on insertion ('random').
+export const TIE_BREAKS = {
+  fifo:   { label: 'FIFO (oldest first)' },
+  lifo:   { label: 'LIFO (newest first)' },
+  random: { label: 'Random (seeded)' },
+}
+
+export default class MinHeap {
+  constructor(compare = (a, b) => a.d - b.d, tie = 'fifo', rng = Math.random) {
+    this.compare = compare
+    this.tie = tie
+    this.rng = rng
+    this._heap = []          // [{ id, item, seq }]
+    this._pos = new Map()    // id -> index in _heap
+    this._seq = 0
+  }
+
+  get size() { return this._heap.length }
+  isEmpty() { return this._heap.length === 0 }
+  has(id) { return this._pos.has(id) }
+  get(id) { const i = this._pos.get(id); return i === undefined ? undefined : this._heap[i].item }
+  peek() { return this._heap.length ? this._heap[0].item : undefined }
+
+  push(id, item) {
+    if (this._pos.has(id)) return this.decreaseKey(id, item)
+    this._heap.push({ id, item, seq: this.tie === 'random' ? this.rng() : this._seq++ })
+    this._pos.set(id, this._heap.length - 1)
+    this._up(this._heap.length - 1)
+    return true
+  }
+
+  // Replace the item for `id` if the new one orders before it; returns whether it did.
+  decreaseKey(id, item) {
+    const i = this._pos.get(id)
+    if (i === undefined) return this.push(id, item)
+    const entry = this._heap[i]
+    if (this.compare(item, entry.item) >= 0) return false
+    entry.item = item
+    this._up(i)
+    return true
+  }
+
+  pop() {
+    const heap = this._heap
+    if (!heap.length) return undefined
+    const top = heap[0]
+    const last = heap.pop()
+    this._pos.delete(top.id)
+    if (heap.length) {
+      heap[0] = last
+      this._pos.set(last.id, 0)
+      this._down(0)
+    }
+    return top.item
+  }
+
+  _less(a, b) {
+    const c = this.compare(a.item, b.item)
+    if (c !== 0) return c < 0
+    return this.tie === 'lifo' ? a.seq > b.seq : a.seq < b.seq
+  }
+
+  _swap(i, j) {
+    const heap = this._heap
+    ;[heap[i], heap[j]] = [heap[j], heap[i]]
+    this._pos.set(heap[i].id, i)
+    this._pos.set(heap[j].id, j)
+  }
+
+  _up(i) {
+    while (i > 0) {
+      const p = (i - 1) >> 1
+      if (!this._less(this._heap[i], this._heap[p])) break
+      this._swap(i, p); i = p
+    }
+  }
+
+  _down(i) {
+    const n = this._heap.length
+    for (;;) {
+      const l = 2 * i + 1, r = l + 1
+      let m = i
+      if (l < n && this._less(this._heap[l], this._heap[m])) m = l
+      if (r < n && this._less(this._heap[r], this._heap[m])) m = r
+      if (m === i) break
+      this._swap(i, m); i = m
+    }
+  }
+}
@@ -0,0 +1,82 @@
+// Solver: runs algorithms in the solver worker, one job at a time.
+// run() resolves with one result per requested run, verify() with a Verify
+// report and fuzz() with the failing boards; cancel() terminates the worker
+// (the next job starts a fresh one) and rejects the pending job with a
+// CancelledError.
+export class CancelledError extends Error {
+  constructor() {
+    super('Run cancelled')
+    this.name = 'CancelledError'
+  }
+}
+
+export default class Solver {
+  constructor() {
+    this._worker = null
+    this._job = null     // { id, resolve, reject, onProgress }
+    this._nextId = 1
+  }
+
+  get busy() { return this._job !== null }
+
+  _spawn() {
+    const worker = new Worker(new URL('./solver.worker.js', import.meta.url), { type: 'module' })
+    worker.onmessage = ({ data }) => {
+      const job = this._job
+      if (!job || data.id !== job.id) return
+      if (data.type === 'progress') { job.onProgress?.(data); return }
+      this._job = null
+      if (data.type === 'done') job.resolve(data.results)
+      else job.reject(new Error(data.message))
+    }
+    // uncaught failures (e.g. running out of memory) kill the worker
+    worker.onerror = e => {
+      e.preventDefault?.()
+      const job = this._job
+      this._stop()
+      job?.reject(new Error(e.message || 'The computation failed (out of memory?)'))
+    }
+    return worker
+  }
+
+  _stop() {
+    this._worker?.terminate()
+    this._worker = null
+    this._job = null
+  }
+
+  _post(message, onProgress) {
+    if (this._job) this.cancel()
+    if (!this._worker) this._worker = this._spawn()
+    const id = this._nextId++
+    return new Promise((resolve, reject) => {
+      this._job = { id, resolve, reject, onProgress }
+      this._worker.postMessage({ id, ...message })
+    })
+  }
+
+  // kind 'grid' | 'nodes'; runs = [{ alg, opts }] with opts.seed for the rng
+  run(kind, model, runs, { onProgress } = {}) {
+    return this._post({ kind, data: model.toJSON(), runs }, onProgress)
+  }
+
+  // verifyGrid / verifyNodes (verify.js) of the model
+  verify(kind, model, opts) {
+    return this._post({ kind, data: model.toJSON(), verify: opts })
+  }
+
+  // fuzz (verify.js); failing boards come back as { seed, data, problems }
+  // with the model's JSON, in the progress messages as they are found
+  fuzz(kind, opts, { onProgress } = {}) {
+    return this._post({ kind, fuzz: opts }, onProgress)
+  }
+
+  cancel() {
+    const job = this._job
+    if (!job) return
+    this._stop()
+    job.reject(new CancelledError())
+  }
+
+  destroy() { this.cancel(); this._stop() }
+}
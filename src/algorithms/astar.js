@@ -1,61 +1,161 @@
-// A* on grid with Manhattan heuristic
-export function aStarShortestPath(model) {
+import MinHeap from './MinHeap.js'
+import { EV, createTrace } from './trace.js'
+import { gridNeighbors, cellChain } from './neighbors.js'
+import { reachableNegativeCycle } from './bellmanford.js'
+import { makeHeuristic, defaultHeuristic } from './heuristics.js'
+
+// A* on weighted grid. Heuristic is picked by name (see HEURISTICS); by default
+// Manhattan, or octile when diagonal moves are allowed.
+export function aStarShortestPath(model, { connectivity = '4', heuristic, epsilon = 1, tie = 'fifo', rng, branches: withBranches = false } = {}) {
   const { rows, cols, start, end } = model
-  if (!start || !end) return { path: [], branches: [] }
+  const tr = createTrace()
+  if (!start || !end) return tr.done({ path: [], branches: [] })
 
-  const h = (r, c) => Math.abs(r - end.r) + Math.abs(c - end.c)
-  const make2D = fill => Array.from({ length: rows }, () => Array(cols).fill(fill))
+  const h = makeHeuristic(heuristic || defaultHeuristic(connectivity), end, { connectivity, epsilon })
 
+  // per cell, indexed r * cols + c; prev is -1 for no parent
   const INF = 1e9
-  const g = make2D(INF)
-  const f = make2D(INF)
-  const prev = make2D(null)
+  const g = new Float64Array(rows * cols).fill(INF)
+  const f = new Float64Array(rows * cols).fill(INF)
+  const prev = new Int32Array(rows * cols).fill(-1)
   const popped = []
 
-  const pq = [{ r: start.r, c: start.c, f: h(start.r, start.c), g: 0 }]
-  g[start.r][start.c] = 0
-  f[start.r][start.c] = h(start.r, start.c)
-
-  const DIRS = [[1,0],[-1,0],[0,1],[0,-1]]
-
-  while (pq.length) {
-    pq.sort((a,b) => (a.f === b.f ? a.g - b.g : a.f - b.f))
-    const { r, c, g: gCur } = pq.shift()
-    popped.push({ r, c })
-    if (r === end.r && c === end.c) break
-
-    for (const [dr, dc] of DIRS) {
-      const nr = r + dr, nc = c + dc
-      if (nr < 0 || nr >= rows || nc < 0 || nc >= cols) continue
-      if (model.isWall(nr, nc)) continue
-
-      const tentativeG = gCur + 1
-      if (tentativeG < g[nr][nc]) {
-        g[nr][nc] = tentativeG
-        f[nr][nc] = tentativeG + h(nr, nc)
-        prev[nr][nc] = { r, c }
-        pq.push({ r: nr, c: nc, f: f[nr][nc], g: tentativeG })
+  // ties on f go to the smaller g, then by `tie`
+  const startId = start.r * cols + start.c
+  const pq = new MinHeap((a, b) => (a.f === b.f ? a.g - b.g : a.f - b.f), tie, rng)
+  pq.push(startId, { r: start.r, c: start.c, f: h(start.r, start.c), g: 0 })
+  g[startId] = 0
+  f[startId] = h(start.r, start.c)
+  tr.emit(EV.ENQUEUE, { r: start.r, c: start.c, g: 0, h: h(start.r, start.c), f: f[startId] })
+
+  while (!pq.isEmpty()) {
+    const { r, c, g: gCur } = pq.pop()
+    if (withBranches) popped.push(r * cols + c)
+    tr.emit(EV.SETTLE, { r, c, g: gCur, h: h(r, c), f: f[r * cols + c] })
+    if (r === end.r && c === end.c) { tr.emit(EV.GOAL, { r, c, g: gCur }); break }
+
+    for (const { r: nr, c: nc, cost } of gridNeighbors(model, r, c, connectivity)) {
+      const tentativeG = gCur + cost
+      const from = { r, c }
+      const id = nr * cols + nc
+      if (tentativeG < g[id]) {
+        g[id] = tentativeG
+        f[id] = tentativeG + h(nr, nc)
+        prev[id] = r * cols + c
+        const ev = { r: nr, c: nc, from, g: tentativeG, h: h(nr, nc), f: f[id] }
+        tr.emit(EV.RELAX, ev)
+        if (pq.has(id)) pq.decreaseKey(id, { r: nr, c: nc, f: f[id], g: tentativeG })
+        else {
+          pq.push(id, { r: nr, c: nc, f: f[id], g: tentativeG })
+          tr.emit(EV.ENQUEUE, ev)
+        }
+      } else {
+        tr.emit(EV.REJECT, { r: nr, c: nc, from, g: tentativeG })
       }
     }
   }
 
-  if (g[end.r][end.c] === INF) return { path: [], branches: [] }
+  const endId = end.r * cols + end.c
+  if (g[endId] === INF) return tr.done({ path: [], branches: [] })
+
+  const shortest = cellChain(prev, endId, cols)
+  const onShortest = new Set(shortest.map(({ r, c }) => r * cols + c))
+  const branches = popped.filter(id => !onShortest.has(id)).map(id => cellChain(prev, id, cols))
+  return tr.done({ path: shortest, branches })
+}
+
+// Node-graph A*: h(v) = scale × Euclidean pixel distance from v to the goal.
+// Returns { path: [ids], trace }, or { path: [], cycle: [ids] } when a negative
+// cycle is reachable (as Bellman-Ford)
+export function aStarNodePath(model, { scale = 1, tie = 'fifo', rng } = {}) {
+  const tr = createTrace()
+  const { start, goal } = model
+  if (!start || !goal) return tr.done({ path: [] })
+  // a reachable negative cycle would lower labels forever: refuse like Bellman-Ford
+  if (model.edges.some(e => e.w < 0)) {
+    const cycle = reachableNegativeCycle(model)
+    if (cycle.length) return tr.done({ path: [], cycle })
+  }
+
+  const id2node = id => model.nodes.find(n => n.id === id)
+  const h = nodeHeuristic(model, scale)
+  const g = new Map([[start, 0]])
+  const prev = new Map()
+
+  const pq = new MinHeap((a, b) => (a.f === b.f ? a.g - b.g : a.f - b.f), tie, rng)
+  pq.push(start, { id: start, g: 0, f: h(start) })
+  tr.emit(EV.ENQUEUE, { id: start, g: 0, h: h(start), f: h(start) })
+
+  while (!pq.isEmpty()) {
+    const { id, g: gCur, f } = pq.pop()
+    tr.emit(EV.SETTLE, { id, g: gCur, h: h(id), f })
+    if (id === goal) { tr.emit(EV.GOAL, { id, g: gCur }); break }
+    for (const { node: nb, edge } of model.neighbours(id2node(id))) {
+      if (!nb) continue
+      const tentative = gCur + edge.w
+      if (!g.has(nb.id) || tentative < g.get(nb.id)) {
+        g.set(nb.id, tentative)
+        prev.set(nb.id, id)
+        const ev = { id: nb.id, from: id, g: tentative, h: h(nb.id), f: tentative + h(nb.id) }
+        tr.emit(EV.RELAX, ev)
+        const item = { id: nb.id, g: tentative, f: ev.f }
+        if (pq.has(nb.id)) pq.decreaseKey(nb.id, item)
+        else { pq.push(nb.id, item); tr.emit(EV.ENQUEUE, ev) }
+      } else {
+        tr.emit(EV.REJECT, { id: nb.id, from: id, g: tentative })
+      }
+    }
+  }
 
+  if (!g.has(goal)) return tr.done({ path: [] })
   const path = []
-  for (let cur = end; cur; cur = prev[cur.r][cur.c]) path.push({ r: cur.r, c: cur.c })
-  const shortest = path.reverse()
-
-  const onShortest = new Set(shortest.map(({ r, c }) => `${r},${c}`))
-  const branches = []
-
-  for (const node of popped) {
-    if (onShortest.has(`${node.r},${node.c}`)) continue
-    const branch = []
-    for (let cur = node; cur; cur = prev[cur.r][cur.c]) {
-      branch.push({ r: cur.r, c: cur.c })
-      if (cur.r === start.r && cur.c === start.c) break
+  for (let cur = goal; cur; cur = prev.get(cur)) path.push(cur)
+  return tr.done({ path: path.reverse() })
+}
+
+function nodeHeuristic(model, scale) {
+  const goal = model.nodes.find(n => n.id === model.goal)
+  return id => {
+    const n = model.nodes.find(m => m.id === id)
+    return n && goal ? scale * Math.hypot(n.x - goal.x, n.y - goal.y) : 0
+  }
+}
+
+// Check the node heuristic against the edge weights.
+// consistent: h(u) <= w(u,v) + h(v) on every edge; admissible: h(v) <= true
+// cost from v to the goal (Dijkstra over reversed edges). Any negative edge
+// makes both meaningless, reported as `negative`.
+export function checkNodeHeuristic(model, { scale = 1 } = {}) {
+  const res = { admissible: true, consistent: true, negative: false, worst: null }
+  if (!model.goal) return res
+  if (model.edges.some(e => e.w < 0)) return { ...res, admissible: false, consistent: false, negative: true }
+
+  const h = nodeHeuristic(model, scale)
+  for (const e of model.edges) {
+    if (h(e.from) > e.w + h(e.to) + 1e-9) { res.consistent = false; break }
+  }
+
+  // true cost-to-goal from every node
+  const toGoal = new Map([[model.goal, 0]])
+  const pq = new MinHeap((a, b) => a.d - b.d)
+  pq.push(model.goal, { id: model.goal, d: 0 })
+  while (!pq.isEmpty()) {
+    const { id, d } = pq.pop()
+    for (const e of model.edges) {
+      if (e.to !== id) continue
+      const alt = d + e.w
+      if (!toGoal.has(e.from) || alt < toGoal.get(e.from)) {
+        toGoal.set(e.from, alt)
+        pq.push(e.from, { id: e.from, d: alt })
+      }
     }
-    branches.push(branch.reverse())
   }
-  return { path: shortest, branches }
+
+  // the node where h overshoots the true cost the most
+  for (const [id, d] of toGoal) {
+    const over = h(id) - d
+    if (over > 1e-9 && (!res.worst || over > res.worst.h - res.worst.d)) res.worst = { id, h: h(id), d }
+  }
+  res.admissible = !res.worst
+  return res
 }
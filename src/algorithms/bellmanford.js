@@ -1,43 +1,47 @@
-// Bellman-Ford on unit-weight grid (teaching/demo)
-export function bellmanFordShortestPath(model) {
+import { EV, createTrace } from './trace.js'
+import { gridNeighbors, cellChain } from './neighbors.js'
+
+// Bellman-Ford on weighted grid (teaching/demo)
+export function bellmanFordShortestPath(model, { connectivity = '4', branches: withBranches = false } = {}) {
   const { rows, cols, start, end } = model
-  if (!start || !end) return { path: [], branches: [] }
+  const tr = createTrace()
+  if (!start || !end) return tr.done({ path: [], branches: [] })
 
+  // per cell, indexed r * cols + c; prev is -1 for no parent
   const INF = 1e9
-  const make2D = fill => Array.from({ length: rows }, () => Array(cols).fill(fill))
-
-  const dist = make2D(INF)
-  const prev = make2D(null)
+  const dist = new Float64Array(rows * cols).fill(INF)
+  const prev = new Int32Array(rows * cols).fill(-1)
   const visitedOrder = []
-  const seen = make2D(false)
+  const seen = new Uint8Array(rows * cols)
 
-  dist[start.r][start.c] = 0
-  seen[start.r][start.c] = true
+  dist[start.r * cols + start.c] = 0
+  seen[start.r * cols + start.c] = 1
 
-  const DIRS = [[1,0],[-1,0],[0,1],[0,-1]]
   const V = rows * cols
 
   for (let iter = 0; iter < V - 1; iter++) {
     let anyChange = false
+    tr.emit(EV.ROUND, { i: iter + 1 })
     for (let r = 0; r < rows; r++) {
       for (let c = 0; c < cols; c++) {
-        const dHere = dist[r][c]
+        const dHere = dist[r * cols + c]
         if (dHere === INF) continue
 
-        for (const [dr, dc] of DIRS) {
-          const nr = r + dr, nc = c + dc
-          if (nr < 0 || nr >= rows || nc < 0 || nc >= cols) continue
-          if (model.isWall(nr, nc)) continue
-
-          const nd = dHere + 1
-          if (nd < dist[nr][nc]) {
-            if (!seen[nr][nc]) {
-              visitedOrder.push({ r: nr, c: nc })
-              seen[nr][nc] = true
+        for (const { r: nr, c: nc, cost } of gridNeighbors(model, r, c, connectivity)) {
+          const nd = dHere + cost
+          const from = { r, c }
+          const id = nr * cols + nc
+          if (nd < dist[id]) {
+            if (withBranches && !seen[id]) {
+              visitedOrder.push(id)
+              seen[id] = 1
             }
-            dist[nr][nc] = nd
-            prev[nr][nc] = { r, c }
+            dist[id] = nd
+            prev[id] = r * cols + c
             anyChange = true
+            tr.emit(EV.RELAX, { r: nr, c: nc, from, d: nd })
+          } else {
+            tr.emit(EV.REJECT, { r: nr, c: nc, from, d: nd })
           }
         }
       }
@@ -45,22 +49,79 @@ export function bellmanFordShortestPath(model) {
     if (!anyChange) break
   }
 
-  if (dist[end.r][end.c] === INF) return { path: [], branches: [] }
+  const endId = end.r * cols + end.c
+  if (dist[endId] === INF) return tr.done({ path: [], branches: [] })
+  tr.emit(EV.GOAL, { r: end.r, c: end.c, d: dist[endId] })
+
+  const shortest = cellChain(prev, endId, cols)
+  const onShortest = new Set(shortest.map(({ r, c }) => r * cols + c))
+  const branches = visitedOrder.filter(id => !onShortest.has(id)).map(id => cellChain(prev, id, cols))
+  return tr.done({ path: shortest, branches })
+}
+
+// Node-graph Bellman-Ford (negative weights allowed). Returns { path: [ids], cycle: [ids], trace };
+// when a negative cycle is reachable from start, path is empty and cycle lists it (first id repeated last).
+export function bellmanFordNodePath(model) {
+  const tr = createTrace()
+  const { start, goal } = model
+  if (!start || !goal) return tr.done({ path: [], cycle: [] })
 
+  const { dist, prev, cycle } = relaxFrom(model, tr)
+  if (cycle.length) return tr.done({ path: [], cycle })
+
+  if (!dist.has(goal)) return tr.done({ path: [], cycle: [] })
+  tr.emit(EV.GOAL, { id: goal, d: dist.get(goal) })
   const path = []
-  for (let cur = end; cur; cur = prev[cur.r][cur.c]) path.push({ r: cur.r, c: cur.c })
-  const shortest = path.reverse()
-
-  const onShortest = new Set(shortest.map(({ r, c }) => `${r},${c}`))
-  const branches = []
-  for (const node of visitedOrder) {
-    if (onShortest.has(`${node.r},${node.c}`)) continue
-    const branch = []
-    for (let cur = node; cur; cur = prev[cur.r][cur.c]) {
-      branch.push({ r: cur.r, c: cur.c })
-      if (cur.r === start.r && cur.c === start.c) break
+  for (let cur = goal; cur; cur = prev.get(cur)) path.push(cur)
+  return tr.done({ path: path.reverse(), cycle: [] })
+}
+
+// Up to V−1 passes over every edge from model.start, stopping early once a
+// pass changes nothing, then the negative cycle check: an edge that still
+// relaxes leads back into a cycle. Returns { dist, prev, cycle } with cycle
+// [] when none is reachable; `tr`, when given, gets the round and relax events.
+function relaxFrom(model, tr) {
+  const dist = new Map([[model.start, 0]])
+  const prev = new Map()
+  const V = model.nodes.length
+
+  for (let i = 1; i < V; i++) {
+    tr?.emit(EV.ROUND, { i })
+    let updated = false
+    for (const e of model.edges) {
+      if (!dist.has(e.from)) continue
+      const alt = dist.get(e.from) + e.w
+      if (!dist.has(e.to) || alt < dist.get(e.to)) {
+        dist.set(e.to, alt)
+        prev.set(e.to, e.from)
+        updated = true
+        tr?.emit(EV.RELAX, { id: e.to, from: e.from, d: alt })
+      } else {
+        tr?.emit(EV.REJECT, { id: e.to, from: e.from, d: alt })
+      }
     }
-    branches.push(branch.reverse())
+    if (!updated) break
   }
-  return { path: shortest, branches }
+
+  const e = model.edges.find(e => dist.has(e.from) && dist.get(e.from) + e.w < dist.get(e.to))
+  return { dist, prev, cycle: e ? cycleThrough(prev, e, V) : [] }
+}
+
+// the negative cycle edge `e` (still relaxing after V−1 passes) leads into,
+// walked back along prev; first id repeated last
+function cycleThrough(prev, e, V) {
+  prev.set(e.to, e.from)
+  let v = e.to
+  for (let i = 0; i < V; i++) v = prev.get(v)   // step back until inside the cycle
+  const cycle = [v]
+  for (let u = prev.get(v); u !== v; u = prev.get(u)) cycle.push(u)
+  cycle.push(v)
+  return cycle.reverse()
+}
+
+// The negative cycle reachable from start as bellmanFordNodePath finds it,
+// without a trace; [] when there is none. Dijkstra and A* check it first on
+// graphs with negative edges, where their re-pushes would never end.
+export function reachableNegativeCycle(model) {
+  return model.start ? relaxFrom(model).cycle : []
 }
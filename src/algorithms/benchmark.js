@@ -0,0 +1,122 @@
+// Headless benchmark: random grid boards for every size × density × board
+// combination, each solved by the chosen algorithms without animation.
+// Board b of a combination uses seed + b, so a run can be repeated exactly.
+import GridModel from '../models/GridModel.js'
+import { createRng } from './random.js'
+import { recordTraces } from './trace.js'
+import { gridPathCost } from './neighbors.js'
+import { dijShortestPath } from './dijkstra.js'
+import { aStarShortestPath } from './astar.js'
+import { bellmanFordShortestPath } from './bellmanford.js'
+import { floydWarsShortestPath } from './floydwarshall.js'
+import { jpsShortestPath } from './jps.js'
+import { biBfsShortestPath, biDijShortestPath } from './bidirectional.js'
+
+// Floyd-Warshall keeps two V×V matrices, so it is skipped on larger boards
+export const BENCH_ALGS = {
+  dijkstra:      { label: 'Dijkstra',               fn: dijShortestPath },
+  astar:         { label: 'A*',                     fn: aStarShortestPath },
+  bellmanFord:   { label: 'Bellman-Ford',           fn: bellmanFordShortestPath },
+  floydWarshall: { label: 'Floyd-Warshall',         fn: floydWarsShortestPath, maxSize: 30 },
+  jps:           { label: 'Jump Point Search',      fn: jpsShortestPath },
+  biBfs:         { label: 'Bidirectional BFS',      fn: biBfsShortestPath },
+  biDijkstra:    { label: 'Bidirectional Dijkstra', fn: biDijShortestPath },
+}
+
+// columns of one run, in CSV order
+export const RUN_FIELDS = ['alg', 'size', 'density', 'board', 'seed', 'found', 'expanded', 'generated',
+  'relaxations', 'peakFrontier', 'rounds', 'pathLength', 'cost', 'ms']
+
+// size × size board, Start and Goal in opposite corners, walls at `density`
+export function benchBoard(size, density, seed) {
+  const model = new GridModel(size, size)
+  model.setMarker('start', 0, 0)
+  model.setMarker('end', size - 1, size - 1)
+  model.randomFill(density, createRng(seed))
+  return model
+}
+
+// one entry per board to build
+export function benchJobs({ sizes, densities, boards, seed }) {
+  const jobs = []
+  for (const size of sizes) {
+    for (const density of densities) {
+      for (let board = 0; board < boards; board++) jobs.push({ size, density, board, seed: seed + board })
+    }
+  }
+  return jobs
+}
+
+// One algorithm on one board, solved twice with the same seed: untraced for
+// ms, so the time is the search alone, then keeping only the counters for
+// the stats. Neither run stores its events.
+export function runAlg(alg, model, { connectivity = '4', tie = 'fifo', seed = 1 } = {}) {
+  const solve = mode => {
+    recordTraces(mode)
+    try {
+      return BENCH_ALGS[alg].fn(model, { connectivity, tie, rng: createRng(seed) })
+    } finally {
+      recordTraces('events')
+    }
+  }
+  const { ms } = solve('off').stats
+  const res = solve('counts')
+  const found = res.path.length > 0
+  const { expanded, generated, relaxations, peakFrontier, rounds, pathLength } = res.stats
+  return {
+    alg, found, expanded, generated, relaxations, peakFrontier, rounds,
+    pathLength: found ? pathLength : null,
+    cost: found ? gridPathCost(model, res.path, connectivity) : null,
+    ms,
+  }
+}
+
+// Runs every job and resolves with the list of runs. Yields to the event
+// loop between boards; onProgress(done, total) after each, and a stop()
+// that returns true ends the benchmark early with the runs so far.
+export async function runBenchmark({ algs, connectivity = '4', tie = 'fifo', ...grid }, { onProgress, stop } = {}) {
+  const jobs = benchJobs(grid)
+  const runs = []
+  for (let i = 0; i < jobs.length; i++) {
+    if (stop?.()) break
+    const { size, density, board, seed } = jobs[i]
+    const model = benchBoard(size, density, seed)
+    for (const alg of algs) {
+      if (size > (BENCH_ALGS[alg].maxSize ?? Infinity)) continue
+      runs.push({ size, density, board, seed, ...runAlg(alg, model, { connectivity, tie, seed }) })
+    }
+    onProgress?.(i + 1, jobs.length)
+    await new Promise(resolve => setTimeout(resolve, 0))
+  }
+  return runs
+}
+
+const mean = xs => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null)
+
+// one row per (alg, size, density): how many boards were solved and the
+// mean of each stat; path length and cost average over solved boards only
+export function summarize(runs) {
+  const groups = new Map()
+  for (const run of runs) {
+    const key = `${run.alg}|${run.size}|${run.density}`
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(run)
+  }
+  return [...groups.values()].map(rs => {
+    const solved = rs.filter(r => r.found)
+    const avg = field => mean(rs.map(r => r[field]))
+    return {
+      alg: rs[0].alg, size: rs[0].size, density: rs[0].density,
+      boards: rs.length, found: solved.length,
+      expanded: avg('expanded'), generated: avg('generated'), relaxations: avg('relaxations'),
+      peakFrontier: avg('peakFrontier'), rounds: avg('rounds'),
+      pathLength: mean(solved.map(r => r.pathLength)), cost: mean(solved.map(r => r.cost)),
+      ms: avg('ms'),
+    }
+  })
+}
+
+export function runsToCSV(runs) {
+  const cell = v => (v === null || v === undefined ? '' : String(v))
+  return [RUN_FIELDS.join(','), ...runs.map(run => RUN_FIELDS.map(f => cell(run[f])).join(','))].join('\n') + '\n'
+}
@@ -0,0 +1,167 @@
+// Bidirectional BFS / Dijkstra for grid and node graphs.
+// Both searches run over a small graph adapter so the grid and node
+// versions share one implementation:
+//   graph = { start, goal, out(u), in(u), at(u) }
+// where out/in list { v, w } along / against edge direction and at(u)
+// gives the event fields ({ r, c } or { id }) for key u.
+import MinHeap from './MinHeap.js'
+import { EV, createTrace } from './trace.js'
+import { gridNeighbors } from './neighbors.js'
+import { reachableNegativeCycle } from './bellmanford.js'
+
+const SIDES = ['fwd', 'bwd']
+
+// Expand whole BFS layers, smaller frontier first; every meeting found in a
+// layer is compared so the returned path has the fewest edges.
+function biBfs(graph, tr) {
+  const { start, goal, at } = graph
+  const prev = { fwd: new Map([[start, null]]), bwd: new Map([[goal, null]]) }
+  const depth = { fwd: new Map([[start, 0]]), bwd: new Map([[goal, 0]]) }
+  let frontier = { fwd: [start], bwd: [goal] }
+  tr.emit(EV.ENQUEUE, { ...at(start), side: 'fwd' })
+  tr.emit(EV.ENQUEUE, { ...at(goal), side: 'bwd' })
+  if (start === goal) return { meet: start, prev }
+
+  let meet = null, best = Infinity
+  while (frontier.fwd.length && frontier.bwd.length && meet === null) {
+    const side = frontier.fwd.length <= frontier.bwd.length ? 'fwd' : 'bwd'
+    const other = side === 'fwd' ? 'bwd' : 'fwd'
+    const edges = side === 'fwd' ? graph.out : graph.in
+    const layer = []
+    for (const u of frontier[side]) {
+      tr.emit(EV.SETTLE, { ...at(u), side, d: depth[side].get(u) })
+      for (const { v } of edges(u)) {
+        if (prev[side].has(v)) { tr.emit(EV.REJECT, { ...at(v), from: at(u), side }); continue }
+        prev[side].set(v, u)
+        depth[side].set(v, depth[side].get(u) + 1)
+        layer.push(v)
+        tr.emit(EV.ENQUEUE, { ...at(v), from: at(u), side, d: depth[side].get(v) })
+        if (prev[other].has(v)) {
+          const total = depth.fwd.get(v) + depth.bwd.get(v)
+          if (total < best) { best = total; meet = v }
+        }
+      }
+    }
+    frontier[side] = layer
+  }
+  if (meet !== null) tr.emit(EV.MEET, { ...at(meet), d: best })
+  return { meet, prev }
+}
+
+// Two Dijkstra searches, always advancing the side with the smaller key;
+// stops once topF + topB can no longer beat the best meeting found.
+function biDijkstra(graph, tr, { tie = 'fifo', rng } = {}) {
+  const { start, goal, at } = graph
+  const dist = { fwd: new Map([[start, 0]]), bwd: new Map([[goal, 0]]) }
+  const prev = { fwd: new Map([[start, null]]), bwd: new Map([[goal, null]]) }
+  const done = { fwd: new Set(), bwd: new Set() }
+  const pq = {}
+  for (const side of SIDES) {
+    const src = side === 'fwd' ? start : goal
+    pq[side] = new MinHeap((a, b) => a.d - b.d, tie, rng)
+    pq[side].push(src, { u: src, d: 0 })
+    tr.emit(EV.ENQUEUE, { ...at(src), side, d: 0 })
+  }
+
+  let meet = start === goal ? start : null
+  let best = start === goal ? 0 : Infinity
+  while (!pq.fwd.isEmpty() && !pq.bwd.isEmpty()) {
+    if (pq.fwd.peek().d + pq.bwd.peek().d >= best) break
+    const side = pq.fwd.peek().d <= pq.bwd.peek().d ? 'fwd' : 'bwd'
+    const other = side === 'fwd' ? 'bwd' : 'fwd'
+    const edges = side === 'fwd' ? graph.out : graph.in
+    const { u, d } = pq[side].pop()
+    done[side].add(u)
+    tr.emit(EV.SETTLE, { ...at(u), side, d })
+
+    for (const { v, w } of edges(u)) {
+      const alt = d + w
+      if (done[side].has(v) || (dist[side].has(v) && alt >= dist[side].get(v))) {
+        tr.emit(EV.REJECT, { ...at(v), from: at(u), side, d: alt })
+        continue
+      }
+      dist[side].set(v, alt)
+      prev[side].set(v, u)
+      tr.emit(EV.RELAX, { ...at(v), from: at(u), side, d: alt })
+      if (pq[side].has(v)) pq[side].decreaseKey(v, { u: v, d: alt })
+      else { pq[side].push(v, { u: v, d: alt }); tr.emit(EV.ENQUEUE, { ...at(v), side, d: alt }) }
+
+      if (dist[other].has(v) && alt + dist[other].get(v) < best) {
+        best = alt + dist[other].get(v)
+        meet = v
+      }
+    }
+  }
+  if (meet !== null) tr.emit(EV.MEET, { ...at(meet), d: best })
+  return { meet, prev }
+}
+
+// start .. meet .. goal as a list of keys
+function joinPath({ meet, prev }) {
+  if (meet === null) return []
+  const head = []
+  for (let u = meet; u !== null; u = prev.fwd.get(u)) head.push(u)
+  const tail = []
+  for (let u = prev.bwd.get(meet); u !== null && u !== undefined; u = prev.bwd.get(u)) tail.push(u)
+  return head.reverse().concat(tail)
+}
+
+function gridGraph(model, connectivity) {
+  const { cols, start, end } = model
+  const key = (r, c) => r * cols + c
+  const at = u => ({ r: Math.floor(u / cols), c: u % cols })
+  const edges = reverse => u => {
+    const { r, c } = at(u)
+    return gridNeighbors(model, r, c, connectivity, reverse).map(n => ({ v: key(n.r, n.c), w: n.cost }))
+  }
+  return { start: key(start.r, start.c), goal: key(end.r, end.c), out: edges(false), in: edges(true), at }
+}
+
+function nodeGraph(model) {
+  const out = new Map(), inn = new Map()
+  for (const n of model.nodes) { out.set(n.id, []); inn.set(n.id, []) }
+  for (const e of model.edges) {
+    if (!out.has(e.from) || !out.has(e.to)) continue
+    out.get(e.from).push({ v: e.to, w: e.w })
+    inn.get(e.to).push({ v: e.from, w: e.w })   // backward search walks edges reversed
+  }
+  return { start: model.start, goal: model.goal, out: u => out.get(u), in: u => inn.get(u), at: id => ({ id }) }
+}
+
+function runGrid(search, model, { connectivity = '4', ...opts }) {
+  const tr = createTrace()
+  if (!model.start || !model.end) return tr.done({ path: [], branches: [] })
+  const graph = gridGraph(model, connectivity)
+  const path = joinPath(search(graph, tr, opts)).map(graph.at)
+  return tr.done({ path, branches: [] })
+}
+
+function runNodes(search, model, opts) {
+  const tr = createTrace()
+  if (!model.start || !model.goal) return tr.done({ path: [] })
+  return tr.done({ path: joinPath(search(nodeGraph(model), tr, opts)) })
+}
+
+// Grid: BFS counts moves (terrain and diagonal costs ignored); Dijkstra uses
+// cell costs and breaks heap ties by `tie` ('fifo' | 'lifo' | 'random' with `rng`)
+export function biBfsShortestPath(model, opts = {}) {
+  return runGrid(biBfs, model, opts)
+}
+
+export function biDijShortestPath(model, opts = {}) {
+  return runGrid(biDijkstra, model, opts)
+}
+
+// Nodes: return { path: [ids], trace }; Dijkstra returns { path: [], cycle: [ids] }
+// instead when a negative cycle is reachable, as Bellman-Ford does
+export function biBfsNodePath(model) {
+  return runNodes(biBfs, model)
+}
+
+export function biDijkstraNodePath(model, opts = {}) {
+  if (model.start && model.goal && model.edges.some(e => e.w < 0)) {
+    const cycle = reachableNegativeCycle(model)
+    if (cycle.length) return createTrace().done({ path: [], cycle })
+  }
+  return runNodes(biDijkstra, model, opts)
+}
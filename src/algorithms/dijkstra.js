@@ -1,67 +1,80 @@
-// Dijkstra on unit-weight grid + node-graph variant
-export function dijShortestPath(model) {
+import MinHeap from './MinHeap.js'
+import { EV, createTrace } from './trace.js'
+import { gridNeighbors, cellChain } from './neighbors.js'
+import { reachableNegativeCycle } from './bellmanford.js'
+
+// Dijkstra on weighted grid (cost of entering a cell) + node-graph variant
+export function dijShortestPath(model, { connectivity = '4', tie = 'fifo', rng, branches: withBranches = false } = {}) {
   const { rows, cols, start, end } = model
-  if (!start || !end) return { path: [], branches: [] }
+  const tr = createTrace()
+  if (!start || !end) return tr.done({ path: [], branches: [] })
 
+  // per cell, indexed r * cols + c; prev is -1 for no parent
   const INF = 1e9
-  const dist = Array.from({ length: rows }, () => Array(cols).fill(INF))
-  const prev = Array.from({ length: rows }, () => Array(cols).fill(null))
+  const dist = new Float64Array(rows * cols).fill(INF)
+  const prev = new Int32Array(rows * cols).fill(-1)
   const popped = []
 
-  const pq = [{ r: start.r, c: start.c, d: 0 }]
-  dist[start.r][start.c] = 0
-  const DIRS = [[1,0],[-1,0],[0,1],[0,-1]]
+  const pq = new MinHeap((a, b) => a.d - b.d, tie, rng)
+  pq.push(start.r * cols + start.c, { r: start.r, c: start.c, d: 0 })
+  dist[start.r * cols + start.c] = 0
+  tr.emit(EV.ENQUEUE, { r: start.r, c: start.c, d: 0 })
 
-  while (pq.length) {
-    pq.sort((a,b) => a.d - b.d)
-    const { r, c, d } = pq.shift()
-    popped.push({ r, c })
-    if (r === end.r && c === end.c) break
+  while (!pq.isEmpty()) {
+    const { r, c, d } = pq.pop()
+    if (withBranches) popped.push(r * cols + c)
+    tr.emit(EV.SETTLE, { r, c, d })
+    if (r === end.r && c === end.c) { tr.emit(EV.GOAL, { r, c, d }); break }
 
-    for (const [dr, dc] of DIRS) {
-      const nr = r + dr, nc = c + dc
-      if (nr < 0 || nr >= rows || nc < 0 || nc >= cols) continue
-      if (model.isWall(nr, nc)) continue
-      const nd = d + 1
-      if (nd < dist[nr][nc]) {
-        dist[nr][nc] = nd
-        prev[nr][nc] = { r, c }
-        pq.push({ r: nr, c: nc, d: nd })
+    for (const { r: nr, c: nc, cost } of gridNeighbors(model, r, c, connectivity)) {
+      const nd = d + cost
+      const from = { r, c }
+      const id = nr * cols + nc
+      if (nd < dist[id]) {
+        dist[id] = nd
+        prev[id] = r * cols + c
+        tr.emit(EV.RELAX, { r: nr, c: nc, from, d: nd })
+        if (pq.has(id)) pq.decreaseKey(id, { r: nr, c: nc, d: nd })
+        else {
+          pq.push(id, { r: nr, c: nc, d: nd })
+          tr.emit(EV.ENQUEUE, { r: nr, c: nc, d: nd })
+        }
+      } else {
+        tr.emit(EV.REJECT, { r: nr, c: nc, from, d: nd })
       }
     }
   }
 
-  if (dist[end.r][end.c] === INF) return { path: [], branches: [] }
-
-  const path = []
-  for (let cur = end; cur; cur = prev[cur.r][cur.c]) path.push({ r: cur.r, c: cur.c })
-  const shortest = path.reverse()
+  const endId = end.r * cols + end.c
+  if (dist[endId] === INF) return tr.done({ path: [], branches: [] })
 
-  const isOnShortest = new Set(shortest.map(({ r, c }) => `${r},${c}`))
-  const branches = []
-  for (const node of popped) {
-    if (isOnShortest.has(`${node.r},${node.c}`)) continue
-    const branch = []
-    for (let cur = node; cur; cur = prev[cur.r][cur.c]) {
-      branch.push({ r: cur.r, c: cur.c })
-      if (cur.r === start.r && cur.c === start.c) break
-    }
-    branches.push(branch.reverse())
-  }
-  return { path: shortest, branches }
+  const shortest = cellChain(prev, endId, cols)
+  const isOnShortest = new Set(shortest.map(({ r, c }) => r * cols + c))
+  const branches = popped.filter(id => !isOnShortest.has(id)).map(id => cellChain(prev, id, cols))
+  return tr.done({ path: shortest, branches })
 }
 
-export function dijkstraNodePath(model) {
-  if (!model.start || !model.goal) return []
+// Node-graph Dijkstra. Returns { path: [ids], trace }, or with a reachable
+// negative cycle { path: [], cycle: [ids] } as Bellman-Ford does
+export function dijkstraNodePath(model, { tie = 'fifo', rng } = {}) {
+  const tr = createTrace()
+  if (!model.start || !model.goal) return tr.done({ path: [] })
+  // a reachable negative cycle would lower labels forever: refuse like Bellman-Ford
+  if (model.edges.some(e => e.w < 0)) {
+    const cycle = reachableNegativeCycle(model)
+    if (cycle.length) return tr.done({ path: [], cycle })
+  }
   const dist = new Map()
   const prev = new Map()
-  const pq = [{ id: model.start, d: 0 }]
+  const pq = new MinHeap((a, b) => a.d - b.d, tie, rng)
+  pq.push(model.start, { id: model.start, d: 0 })
   dist.set(model.start, 0)
+  tr.emit(EV.ENQUEUE, { id: model.start, d: 0 })
 
-  while (pq.length) {
-    pq.sort((a,b) => a.d - b.d)
-    const { id, d } = pq.shift()
-    if (id === model.goal) break
+  while (!pq.isEmpty()) {
+    const { id, d } = pq.pop()
+    tr.emit(EV.SETTLE, { id, d })
+    if (id === model.goal) { tr.emit(EV.GOAL, { id, d }); break }
     const node = model.nodes.find(n => n.id === id)
     for (const { node: nb, edge } of model.neighbours(node)) {
       if (!nb) continue
@@ -69,13 +82,20 @@ export function dijkstraNodePath(model) {
       if (!dist.has(nb.id) || alt < dist.get(nb.id)) {
         dist.set(nb.id, alt)
         prev.set(nb.id, id)
-        pq.push({ id: nb.id, d: alt })
+        tr.emit(EV.RELAX, { id: nb.id, from: id, d: alt })
+        if (pq.has(nb.id)) pq.decreaseKey(nb.id, { id: nb.id, d: alt })
+        else {
+          pq.push(nb.id, { id: nb.id, d: alt })
+          tr.emit(EV.ENQUEUE, { id: nb.id, d: alt })
+        }
+      } else {
+        tr.emit(EV.REJECT, { id: nb.id, from: id, d: alt })
       }
     }
   }
 
-  if (!dist.has(model.goal)) return []
+  if (!dist.has(model.goal)) return tr.done({ path: [] })
   const path = []
   for (let cur = model.goal; cur; cur = prev.get(cur)) path.push(cur)
-  return path.reverse()
+  return tr.done({ path: path.reverse() })
 }
@@ -0,0 +1,70 @@
+// Rough up-front cost of a run, so clearly infeasible ones can be confirmed
+// before they start. A recorded trace costs EVENT_BYTES per event in the
+// worker plus CLONE_BYTES for the copy posted to the page, and the time to
+// make that copy; the worker stops recording past MAX_TRACE_EVENTS and keeps
+// only the counters, so the page shows the path without a replay. Every
+// search also keeps NODE_BYTES of state per node, and Floyd-Warshall its
+// dist/next matrices of V×V entries.
+// Measured on worker runs: Dijkstra on an open 1000×1000 grid emits about 5M
+// events and takes 6–9 s with its trace (4 s with counters only), holding
+// about 600 MB of trace, with another 750 MB once it is cloned.
+import { isDiagonal } from './neighbors.js'
+
+const EVENT_BYTES = 120
+const CLONE_BYTES = 150
+const NODE_BYTES = 100
+const ENTRY_BYTES = 8
+const EVENT_MS = 1.5e-3      // search time per event, recording the trace
+const COUNT_MS = 0.8e-3      // search time per event, counters only
+const CLONE_MS = 3e-3        // posting one event to the page
+const FW_OPS_PER_MS = 2.5e5  // Floyd-Warshall inner-loop steps
+
+// the bidirectional searches keep Map-based state for each side, costing
+// this many times the time and state of the one-directional ones
+const SLOWER = { biBfs: 4, biDijkstra: 6 }
+
+// past bytes or ms the app asks before running; trace bounds the memory of
+// a recorded trace and its copy
+export const LIMITS = { bytes: 1024 ** 3, ms: 15000, trace: 512 * 1024 ** 2 }
+export const MAX_TRACE_EVENTS = Math.floor(LIMITS.trace / (EVENT_BYTES + CLONE_BYTES))
+
+// kind 'grid' | 'nodes'; returns { bytes, ms, heavy }
+export function estimateRun(kind, alg, model, { connectivity = '4' } = {}) {
+  const V = kind === 'grid' ? model.rows * model.cols : model.nodes.length
+  const E = kind === 'grid' ? V * (isDiagonal(connectivity) ? 8 : 4) : model.edges.length
+  let events, matrix = 0
+  if (alg === 'floydWarshall') {
+    events = V * 2                          // one ROUND per k plus the start row
+    matrix = 2 * V * V * ENTRY_BYTES
+  } else if (alg === 'bellmanFord') {
+    // a pass touches every edge; row-major sweeps settle most grids within
+    // a quarter of rows + cols passes (mazes with long detours take more)
+    const passes = kind === 'grid' ? Math.ceil((model.rows + model.cols) / 4) : V
+    events = kind === 'grid' ? passes * E : passes + E   // grid passes trace every edge
+  } else {
+    events = V + E
+  }
+  // events recorded, and cloned when the whole trace fits
+  const recorded = Math.min(events, MAX_TRACE_EVENTS)
+  const cloned = events <= MAX_TRACE_EVENTS ? events : 0
+  const slower = SLOWER[alg] ?? 1
+  const bytes = recorded * EVENT_BYTES + cloned * CLONE_BYTES + V * NODE_BYTES * slower + matrix
+  const ms = alg === 'floydWarshall'
+    ? V ** 3 / FW_OPS_PER_MS
+    : (recorded * EVENT_MS + (events - recorded) * COUNT_MS) * slower + cloned * CLONE_MS
+  return { bytes, ms, heavy: bytes > LIMITS.bytes || ms > LIMITS.ms }
+}
+
+export function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB']
+  let i = 0
+  while (bytes >= 1024 && i < units.length - 1) { bytes /= 1024; i++ }
+  return `${bytes < 10 && i ? bytes.toFixed(1) : Math.round(bytes)} ${units[i]}`
+}
+
+export function formatDuration(ms) {
+  if (ms < 1000) return 'under a second'
+  if (ms < 60e3) return `${Math.round(ms / 1000)} s`
+  if (ms < 3600e3) return `${Math.round(ms / 60e3)} min`
+  return `${(ms / 3600e3).toFixed(1)} h`
+}
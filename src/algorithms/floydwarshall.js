@@ -1,7 +1,12 @@
-// Floyd-Warshall all-pairs on grid (teaching/demo)
-export function floydWarsShortestPath(model) {
+import { EV, createTrace } from './trace.js'
+import { gridNeighbors } from './neighbors.js'
+
+// Floyd-Warshall all-pairs on grid (teaching/demo).
+// Only relaxations of the start row are traced; the rest would be O(V^3) events.
+export function floydWarsShortestPath(model, { connectivity = '4', branches: withBranches = false } = {}) {
   const { rows, cols, start, end } = model
-  if (!start || !end) return { path: [], branches: [] }
+  const tr = createTrace()
+  if (!start || !end) return tr.done({ path: [], branches: [] })
 
   const V = rows * cols
   const idx = (r, c) => r * cols + c
@@ -11,18 +16,14 @@ export function floydWarsShortestPath(model) {
   const dist = Array.from({ length: V }, () => Array(V).fill(INF))
   const next = Array.from({ length: V }, () => Array(V).fill(null))
 
-  const DIRS = [[1,0],[-1,0],[0,1],[0,-1]]
   for (let r = 0; r < rows; r++) {
     for (let c = 0; c < cols; c++) {
       const v = idx(r, c)
       dist[v][v] = 0
       next[v][v] = v
-      for (const [dr, dc] of DIRS) {
-        const nr = r + dr, nc = c + dc
-        if (nr < 0 || nr >= rows || nc < 0 || nc >= cols) continue
-        if (model.isWall(nr, nc)) continue
+      for (const { r: nr, c: nc, cost } of gridNeighbors(model, r, c, connectivity)) {
         const u = idx(nr, nc)
-        dist[v][u] = 1
+        dist[v][u] = cost
         next[v][u] = u
       }
     }
@@ -31,8 +32,12 @@ export function floydWarsShortestPath(model) {
   const startV = idx(start.r, start.c)
   const endV = idx(end.r, end.c)
   const improved = []
+  for (let j = 0; j < V; j++) {
+    if (j !== startV && dist[startV][j] !== INF) tr.emit(EV.RELAX, { ...rc(j), from: rc(startV), d: dist[startV][j] })
+  }
 
   for (let k = 0; k < V; k++) {
+    tr.emit(EV.ROUND, { i: k, k: rc(k) })
     for (let i = 0; i < V; i++) {
       const dik = dist[i][k]
       if (dik === INF) continue
@@ -41,13 +46,17 @@ export function floydWarsShortestPath(model) {
         if (alt < dist[i][j]) {
           dist[i][j] = alt
           next[i][j] = next[i][k]
-          if (i === startV) improved.push(j)
+          if (i === startV) {
+            improved.push(j)
+            tr.emit(EV.RELAX, { ...rc(j), via: rc(k), d: alt })
+          }
         }
       }
     }
   }
 
-  if (dist[startV][endV] === INF) return { path: [], branches: [] }
+  if (dist[startV][endV] === INF) return tr.done({ path: [], branches: [] })
+  tr.emit(EV.GOAL, { ...rc(endV), d: dist[startV][endV] })
 
   const path = []
   let v = startV
@@ -57,20 +66,96 @@ export function floydWarsShortestPath(model) {
   }
   path.push(rc(endV))
 
-  const onShortest = new Set(path.map(({ r, c }) => `${r},${c}`))
+  const onShortest = new Set(path.map(({ r, c }) => idx(r, c)))
   const branches = []
-  for (const j of improved) {
-    const cell = rc(j)
-    if (onShortest.has(`${cell.r},${cell.c}`)) continue
+  for (const j of withBranches ? improved : []) {
+    if (onShortest.has(j)) continue
     const branch = []
     let u = startV
     while (u !== null && u !== j) {
       branch.push(rc(u))
       u = next[u][j]
-      if (!u) break
     }
     branch.push(rc(j))
     branches.push(branch)
   }
-  return { path, branches }
+  return tr.done({ path, branches })
+}
+
+// Node-graph Floyd-Warshall keeping the whole run for the matrix view.
+// run = { ids, dist0, next0, steps: [{ k, changes: [{ i, j, d, n }] }], negative: [ids] }
+// where steps[k] lists the (i, j) entries improved with ids[k] as intermediate.
+export function floydWarshallNodePath(model) {
+  const tr = createTrace()
+  const ids = model.nodes.map(n => n.id)
+  const V = ids.length
+  const at = new Map(ids.map((id, i) => [id, i]))
+
+  const dist = Array.from({ length: V }, () => Array(V).fill(Infinity))
+  const next = Array.from({ length: V }, () => Array(V).fill(null))
+  for (let v = 0; v < V; v++) { dist[v][v] = 0; next[v][v] = v }
+  for (const e of model.edges) {
+    const i = at.get(e.from), j = at.get(e.to)
+    if (i === undefined || j === undefined || e.w >= dist[i][j]) continue
+    dist[i][j] = e.w
+    next[i][j] = j
+  }
+  const dist0 = dist.map(row => row.slice())
+  const next0 = next.map(row => row.slice())
+
+  const steps = []
+  for (let k = 0; k < V; k++) {
+    tr.emit(EV.ROUND, { i: k, k: ids[k] })
+    const changes = []
+    for (let i = 0; i < V; i++) {
+      const dik = dist[i][k]
+      if (dik === Infinity) continue
+      for (let j = 0; j < V; j++) {
+        const alt = dik + dist[k][j]
+        if (alt < dist[i][j]) {
+          dist[i][j] = alt
+          next[i][j] = next[i][k]
+          changes.push({ i, j, d: alt, n: next[i][j] })
+          tr.emit(EV.RELAX, { id: ids[j], from: ids[i], via: ids[k], d: alt })
+        }
+      }
+    }
+    steps.push({ k, changes })
+  }
+
+  const negative = ids.filter((id, v) => dist[v][v] < 0)
+  const run = { ids, dist0, next0, steps, negative }
+
+  const s = at.get(model.start), g = at.get(model.goal)
+  if (s === undefined || g === undefined || negative.length) return tr.done({ path: [], run })
+  const path = fwPath(next, s, g).map(v => ids[v])
+  if (path.length) tr.emit(EV.GOAL, { id: model.goal, d: dist[s][g] })
+  return tr.done({ path, run })
+}
+
+// dist/next after the first `step` intermediates, plus the "i,j" keys that changed in the last one
+export function fwMatrixAt(run, step) {
+  const dist = run.dist0.map(row => row.slice())
+  const next = run.next0.map(row => row.slice())
+  const changed = new Set()
+  for (let s = 0; s < step && s < run.steps.length; s++) {
+    for (const { i, j, d, n } of run.steps[s].changes) {
+      dist[i][j] = d
+      next[i][j] = n
+      if (s === step - 1) changed.add(`${i},${j}`)
+    }
+  }
+  return { dist, next, changed }
+}
+
+// vertex indices on the i -> j path through `next` ([] when unreachable)
+export function fwPath(next, i, j) {
+  if (next[i][j] === null) return []
+  const path = [i]
+  for (let u = i; u !== j; ) {
+    u = next[u][j]
+    if (u === null || path.length > next.length) return []
+    path.push(u)
+  }
+  return path
 }
@@ -0,0 +1,59 @@
+// A* heuristics on the grid, as functions of |Δrow|, |Δcol| to the goal
+import { isDiagonal } from './neighbors.js'
+
+const octile = (dr, dc) => Math.max(dr, dc) + (Math.SQRT2 - 1) * Math.min(dr, dc)
+
+// admissible(connectivity, epsilon) -> whether h never overestimates the
+// remaining cost (every cell costs at least 1, diagonals √2)
+export const HEURISTICS = {
+  manhattan: {
+    label: 'Manhattan',
+    fn: (dr, dc) => dr + dc,
+    admissible: conn => !isDiagonal(conn),
+    note: 'overestimates once diagonal moves are allowed',
+  },
+  euclidean: {
+    label: 'Euclidean',
+    fn: (dr, dc) => Math.hypot(dr, dc),
+    admissible: () => true,
+    note: 'straight-line distance never exceeds a grid path',
+  },
+  chebyshev: {
+    label: 'Chebyshev',
+    fn: (dr, dc) => Math.max(dr, dc),
+    admissible: () => true,
+    note: 'counts diagonals as cost 1, so it underestimates',
+  },
+  octile: {
+    label: 'Octile',
+    fn: octile,
+    admissible: () => true,
+    note: 'exact on an open 8-way grid, a lower bound on a 4-way one',
+  },
+  zero: {
+    label: 'Zero (h ≡ 0)',
+    fn: () => 0,
+    admissible: () => true,
+    note: 'A* degenerates to Dijkstra',
+  },
+  // ε × Manhattan (4-way) or ε × octile (8-way); built in makeHeuristic
+  weighted: {
+    label: 'Weighted (ε × base)',
+    admissible: (conn, epsilon) => epsilon <= 1,
+    note: 'paths cost at most ε × optimal',
+  },
+}
+
+// Heuristic (r, c) -> estimate for the given goal and settings
+export function makeHeuristic(name, end, { connectivity = '4', epsilon = 1 } = {}) {
+  const base = isDiagonal(connectivity) ? octile : HEURISTICS.manhattan.fn
+  const h = HEURISTICS[name] || HEURISTICS.manhattan
+  const fn = name === 'weighted' ? (dr, dc) => epsilon * base(dr, dc) : h.fn
+  return (r, c) => fn(Math.abs(r - end.r), Math.abs(c - end.c))
+}
+
+export function isAdmissible(name, { connectivity = '4', epsilon = 1 } = {}) {
+  return (HEURISTICS[name] || HEURISTICS.manhattan).admissible(connectivity, epsilon)
+}
+
+export const defaultHeuristic = connectivity => (isDiagonal(connectivity) ? 'octile' : 'manhattan')
@@ -0,0 +1,165 @@
+// Jump Point Search on uniform-cost grids (every open cell costs 1, terrain is
+// ignored). Instead of pushing each neighbour, the search "jumps" along a
+// direction until it hits a cell with a forced neighbour, and only those jump
+// points go onto the open list. Pruning rules follow the movement setting:
+//   '4'          straight jumps; vertical jumps look sideways for jump points
+//   '8'          classic JPS, diagonal moves may squeeze past corners
+//   '8-nocorner' diagonal moves need both orthogonal cells open
+import MinHeap from './MinHeap.js'
+import { EV, createTrace } from './trace.js'
+import { isDiagonal } from './neighbors.js'
+
+const octile = (dr, dc) => Math.max(dr, dc) + (Math.SQRT2 - 1) * Math.min(dr, dc)
+
+export function jpsShortestPath(model, { connectivity = '4', tie = 'fifo', rng, branches: withBranches = false } = {}) {
+  const { rows, cols, start, end } = model
+  const tr = createTrace()
+  if (!start || !end) return tr.done({ path: [], branches: [] })
+
+  const open = (r, c) => r >= 0 && r < rows && c >= 0 && c < cols && !model.isWallAt(r * cols + c)
+  const isEnd = (r, c) => r === end.r && c === end.c
+  const diagonal = isDiagonal(connectivity)
+  const dist = diagonal ? octile : (dr, dc) => dr + dc
+  const h = (r, c) => dist(Math.abs(r - end.r), Math.abs(c - end.c))
+
+  // straight jump from (r, c) along (dr, dc), (r, c) itself is the first cell tested
+  function jumpStraight(r, c, dr, dc) {
+    for (;;) {
+      if (!open(r, c)) return null
+      if (isEnd(r, c)) return { r, c }
+      if (connectivity === '8') {
+        if (dr === 0 && ((open(r + 1, c + dc) && !open(r + 1, c)) || (open(r - 1, c + dc) && !open(r - 1, c)))) return { r, c }
+        if (dc === 0 && ((open(r + dr, c + 1) && !open(r, c + 1)) || (open(r + dr, c - 1) && !open(r, c - 1)))) return { r, c }
+      } else {
+        // a side cell opens up that was blocked one step back
+        if (dr === 0 && ((open(r - 1, c) && !open(r - 1, c - dc)) || (open(r + 1, c) && !open(r + 1, c - dc)))) return { r, c }
+        if (dc === 0 && ((open(r, c - 1) && !open(r - dr, c - 1)) || (open(r, c + 1) && !open(r - dr, c + 1)))) return { r, c }
+        // 4-way: vertical runs stop where a horizontal jump finds something
+        if (connectivity === '4' && dc === 0 && (jumpStraight(r, c + 1, 0, 1) || jumpStraight(r, c - 1, 0, -1))) return { r, c }
+      }
+      r += dr; c += dc
+    }
+  }
+
+  function jumpDiagonal(r, c, dr, dc) {
+    for (;;) {
+      if (!open(r, c)) return null
+      if (isEnd(r, c)) return { r, c }
+      if (connectivity === '8' &&
+          ((open(r + dr, c - dc) && !open(r, c - dc)) || (open(r - dr, c + dc) && !open(r - dr, c)))) return { r, c }
+      if (jumpStraight(r + dr, c, dr, 0) || jumpStraight(r, c + dc, 0, dc)) return { r, c }
+      if (connectivity === '8-nocorner' && !(open(r + dr, c) && open(r, c + dc))) return null
+      r += dr; c += dc
+    }
+  }
+
+  // directions worth jumping in from (r, c), given the direction we arrived from
+  function directions(r, c, parent) {
+    const step = (dr, dc) => open(r + dr, c + dc) &&
+      !(connectivity === '8-nocorner' && dr && dc && !(open(r + dr, c) && open(r, c + dc)))
+    const dirs = []
+    const add = (dr, dc) => dirs.push([dr, dc])
+    if (!parent) {
+      for (const [dr, dc] of [[1,0],[-1,0],[0,1],[0,-1]]) add(dr, dc)
+      if (diagonal) for (const [dr, dc] of [[1,1],[1,-1],[-1,1],[-1,-1]]) add(dr, dc)
+      return dirs.filter(([dr, dc]) => step(dr, dc))
+    }
+    const dr = Math.sign(r - parent.r), dc = Math.sign(c - parent.c)
+
+    if (connectivity === '4') {
+      if (dc) { add(-1, 0); add(1, 0); add(0, dc) }
+      else    { add(0, -1); add(0, 1); add(dr, 0) }
+    } else if (connectivity === '8') {
+      if (dr && dc) {
+        add(dr, 0); add(0, dc); add(dr, dc)
+        if (!open(r, c - dc)) add(dr, -dc)
+        if (!open(r - dr, c)) add(-dr, dc)
+      } else if (dr) {
+        add(dr, 0)
+        if (!open(r, c + 1)) add(dr, 1)
+        if (!open(r, c - 1)) add(dr, -1)
+      } else {
+        add(0, dc)
+        if (!open(r + 1, c)) add(1, dc)
+        if (!open(r - 1, c)) add(-1, dc)
+      }
+    } else {
+      if (dr && dc) { add(dr, 0); add(0, dc); add(dr, dc) }
+      else if (dr)  { add(dr, 0); add(0, -1); add(0, 1); add(dr, -1); add(dr, 1) }
+      else          { add(0, dc); add(-1, 0); add(1, 0); add(-1, dc); add(1, dc) }
+    }
+    return dirs.filter(([dr, dc]) => step(dr, dc))
+  }
+
+  const INF = Infinity
+  const g = new Map([[start.r * cols + start.c, 0]])
+  const prev = new Map([[start.r * cols + start.c, null]])
+  const closed = new Set()
+  const popped = []
+
+  // ties on f go to the smaller g, then by `tie` (as in A*)
+  const pq = new MinHeap((a, b) => (a.f === b.f ? a.g - b.g : a.f - b.f), tie, rng)
+  pq.push(start.r * cols + start.c, { r: start.r, c: start.c, g: 0, f: h(start.r, start.c) })
+  tr.emit(EV.ENQUEUE, { r: start.r, c: start.c, g: 0, h: h(start.r, start.c), f: h(start.r, start.c) })
+
+  let found = false
+  while (!pq.isEmpty()) {
+    const { r, c, g: gCur, f } = pq.pop()
+    const id = r * cols + c
+    closed.add(id)
+    popped.push({ r, c })
+    tr.emit(EV.SETTLE, { r, c, g: gCur, h: h(r, c), f })
+    if (isEnd(r, c)) { tr.emit(EV.GOAL, { r, c, g: gCur }); found = true; break }
+
+    const from = { r, c }
+    const p = prev.get(id)
+    for (const [dr, dc] of directions(r, c, p === null ? null : { r: Math.floor(p / cols), c: p % cols })) {
+      const jp = dr && dc ? jumpDiagonal(r + dr, c + dc, dr, dc) : jumpStraight(r + dr, c + dc, dr, dc)
+      if (!jp) continue
+      const jid = jp.r * cols + jp.c
+      if (closed.has(jid)) continue
+      const tentativeG = gCur + dist(Math.abs(jp.r - r), Math.abs(jp.c - c))
+      if (tentativeG < (g.has(jid) ? g.get(jid) : INF)) {
+        g.set(jid, tentativeG)
+        prev.set(jid, id)
+        const ev = { r: jp.r, c: jp.c, from, g: tentativeG, h: h(jp.r, jp.c), f: tentativeG + h(jp.r, jp.c), jump: true }
+        tr.emit(EV.RELAX, ev)
+        const item = { r: jp.r, c: jp.c, g: tentativeG, f: ev.f }
+        if (pq.has(jid)) pq.decreaseKey(jid, item)
+        else { pq.push(jid, item); tr.emit(EV.ENQUEUE, ev) }
+      } else {
+        tr.emit(EV.REJECT, { r: jp.r, c: jp.c, from, g: tentativeG, jump: true })
+      }
+    }
+  }
+  if (!found) return tr.done({ path: [], branches: [] })
+
+  // jump points from the start to `id`
+  const chain = id => {
+    const points = []
+    for (; id !== null; id = prev.get(id)) points.push({ r: Math.floor(id / cols), c: id % cols })
+    return points.reverse()
+  }
+
+  const points = chain(end.r * cols + end.c)
+  const jumpPoints = new Set(points.map(({ r, c }) => r * cols + c))
+  const branches = (withBranches ? popped : [])
+    .filter(({ r, c }) => !jumpPoints.has(r * cols + c))
+    .map(node => fillJumps(chain(node.r * cols + node.c)))
+  return tr.done({ path: fillJumps(points), branches, jumpPoints: points })
+}
+
+// the cells of each jump between consecutive points
+// (every jump is a straight or 45° diagonal line)
+function fillJumps(points) {
+  const cells = [points[0]]
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1], b = points[i]
+    const dr = Math.sign(b.r - a.r), dc = Math.sign(b.c - a.c)
+    for (let r = a.r + dr, c = a.c + dc; ; r += dr, c += dc) {
+      cells.push({ r, c })
+      if (r === b.r && c === b.c) break
+    }
+  }
+  return cells
+}
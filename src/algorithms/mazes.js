@@ -0,0 +1,182 @@
+// Maze generators for the grid. Mazes live on a lattice of "rooms" at even
+// (r, c); the cell between two neighbouring rooms is their passage and the
+// odd/odd cells are always wall. A generator returns a plan:
+//   { base: 'wall' | 'open', ops: [[r, c, isWall], ...], start, end }
+// Reset the model to `base` (resetMaze), then apply the ops in order
+// (applyMazeOp) — one at a time to animate the carving. Start and Goal are
+// moved onto the nearest room (Goal next door if both land on one), so a
+// route between them always exists.
+
+export const MAZES = {
+  backtracker: { label: 'Recursive backtracker' },
+  prim:        { label: "Randomized Prim's" },
+  kruskal:     { label: "Randomized Kruskal's" },
+  division:    { label: 'Recursive division' },
+  wilson:      { label: "Wilson's (uniform)" },
+}
+
+const DIRS = [[1,0],[-1,0],[0,1],[0,-1]]
+
+const pick = (arr, rng) => arr[Math.floor(rng() * arr.length)]
+
+function shuffle(arr, rng) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1))
+    const t = arr[i]; arr[i] = arr[j]; arr[j] = t
+  }
+  return arr
+}
+
+// nearest room to a cell, clamped to the lattice
+const snap = (p, R, C) => ({ r: Math.min(p.r - (p.r % 2), 2 * (R - 1)), c: Math.min(p.c - (p.c % 2), 2 * (C - 1)) })
+
+export function buildMaze(model, type = 'backtracker', { braided = false, rng = Math.random } = {}) {
+  const R = Math.ceil(model.rows / 2), C = Math.ceil(model.cols / 2)
+  const base = type === 'division' ? 'open' : 'wall'
+  const ops = []
+  const rr = u => Math.floor(u / C), cc = u => u % C
+
+  // room graph: which rooms are joined by an open passage
+  const links = Array.from({ length: R * C }, () => new Set())
+  const inside = new Set()     // rooms carved so far (carving generators)
+  const neighbours = u => DIRS
+    .map(([dr, dc]) => [rr(u) + dr, cc(u) + dc])
+    .filter(([r, c]) => r >= 0 && r < R && c >= 0 && c < C)
+    .map(([r, c]) => r * C + c)
+
+  const carveRoom = u => {
+    if (inside.has(u)) return
+    inside.add(u)
+    if (base === 'wall') ops.push([2 * rr(u), 2 * cc(u), false])
+  }
+  const link = (u, v) => {
+    carveRoom(u)
+    links[u].add(v); links[v].add(u)
+    ops.push([rr(u) + rr(v), cc(u) + cc(v), false])
+    carveRoom(v)
+  }
+  const unlink = (u, v) => {
+    links[u].delete(v); links[v].delete(u)
+    ops.push([rr(u) + rr(v), cc(u) + cc(v), true])
+  }
+
+  if (type === 'prim') {
+    const first = Math.floor(rng() * R * C)
+    carveRoom(first)
+    const frontier = new Set(neighbours(first))
+    while (frontier.size) {
+      const u = pick([...frontier], rng)
+      frontier.delete(u)
+      link(pick(neighbours(u).filter(v => inside.has(v)), rng), u)
+      for (const v of neighbours(u)) if (!inside.has(v)) frontier.add(v)
+    }
+  } else if (type === 'kruskal') {
+    const parent = Array.from({ length: R * C }, (_, i) => i)
+    const find = u => (parent[u] === u ? u : (parent[u] = find(parent[u])))
+    const edges = []
+    for (let u = 0; u < R * C; u++) {
+      if (cc(u) + 1 < C) edges.push([u, u + 1])
+      if (rr(u) + 1 < R) edges.push([u, u + C])
+    }
+    for (const [u, v] of shuffle(edges, rng)) {
+      const a = find(u), b = find(v)
+      if (a === b) continue
+      parent[a] = b
+      link(u, v)
+    }
+  } else if (type === 'division') {
+    // start fully open and add walls: split each region with one gap
+    for (let u = 0; u < R * C; u++) for (const v of neighbours(u)) links[u].add(v)
+    const regions = [[0, 0, R - 1, C - 1]]
+    while (regions.length) {
+      const [r0, c0, r1, c1] = regions.pop()
+      const h = r1 - r0 + 1, w = c1 - c0 + 1
+      if (h < 2 && w < 2) continue
+      const horizontal = h > w || (h === w && rng() < 0.5)
+      if (horizontal) {
+        const k = r0 + Math.floor(rng() * (h - 1))       // wall between room rows k and k+1
+        const gap = c0 + Math.floor(rng() * w)
+        for (let c = c0; c <= c1; c++) {
+          if (c !== gap) unlink(k * C + c, (k + 1) * C + c)
+          if (c < c1) ops.push([2 * k + 1, 2 * c + 1, true])   // pillar
+        }
+        regions.push([r0, c0, k, c1], [k + 1, c0, r1, c1])
+      } else {
+        const k = c0 + Math.floor(rng() * (w - 1))
+        const gap = r0 + Math.floor(rng() * h)
+        for (let r = r0; r <= r1; r++) {
+          if (r !== gap) unlink(r * C + k, r * C + k + 1)
+          if (r < r1) ops.push([2 * r + 1, 2 * k + 1, true])
+        }
+        regions.push([r0, c0, r1, k], [r0, k + 1, r1, c1])
+      }
+    }
+  } else if (type === 'wilson') {
+    // loop-erased random walks from each unvisited room until they hit the maze
+    carveRoom(Math.floor(rng() * R * C))
+    for (const s of shuffle([...Array(R * C).keys()], rng)) {
+      if (inside.has(s)) continue
+      const next = new Map()
+      for (let u = s; !inside.has(u);) {
+        const v = pick(neighbours(u), rng)
+        next.set(u, v)             // overwriting erases any loop
+        u = v
+      }
+      const walk = []
+      for (let u = s; !inside.has(u); u = next.get(u)) walk.push(u)
+      for (const u of walk) link(u, next.get(u))
+    }
+  } else {
+    // recursive backtracker: depth-first walk with an explicit stack
+    const first = Math.floor(rng() * R * C)
+    carveRoom(first)
+    const stack = [first]
+    while (stack.length) {
+      const u = stack[stack.length - 1]
+      const options = neighbours(u).filter(v => !inside.has(v))
+      if (!options.length) { stack.pop(); continue }
+      const v = pick(options, rng)
+      link(u, v)
+      stack.push(v)
+    }
+  }
+
+  // braid: open one more wall at every dead end, preferring another dead end
+  if (braided) {
+    for (const u of shuffle([...Array(R * C).keys()], rng)) {
+      if (links[u].size !== 1) continue
+      const closed = neighbours(u).filter(v => !links[u].has(v))
+      if (!closed.length) continue
+      const deadEnds = closed.filter(v => links[v].size === 1)
+      link(u, pick(deadEnds.length ? deadEnds : closed, rng))
+    }
+  }
+
+  const start = model.start ? snap(model.start, R, C) : { r: 0, c: 0 }
+  let end = model.end ? snap(model.end, R, C) : { r: 2 * (R - 1), c: 2 * (C - 1) }
+  // markers in neighbouring cells can snap onto one room: move Goal next door
+  if (end.r === start.r && end.c === start.c) {
+    const [v] = neighbours((start.r / 2) * C + start.c / 2)
+    if (v !== undefined) end = { r: 2 * rr(v), c: 2 * cc(v) }
+  }
+  return { base, ops, start, end }
+}
+
+// Clear the model to the plan's starting state; cells off the room lattice
+// (the last row/column of an even-sized grid) are always wall.
+export function resetMaze(model, { base, start, end }) {
+  model.clear()
+  const rMax = 2 * (Math.ceil(model.rows / 2) - 1), cMax = 2 * (Math.ceil(model.cols / 2) - 1)
+  for (let r = 0; r < model.rows; r++) {
+    for (let c = 0; c < model.cols; c++) {
+      if (base === 'wall' || r > rMax || c > cMax) model.addWall(r, c)
+    }
+  }
+  model.setMarker('start', start.r, start.c)
+  model.setMarker('end', end.r, end.c)
+}
+
+export function applyMazeOp(model, [r, c, wall]) {
+  if (wall) model.addWall(r, c)
+  else model.removeWall(r, c)
+}
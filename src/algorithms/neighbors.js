@@ -0,0 +1,60 @@
+// Grid neighbour generator shared by the maze algorithms
+
+// movement rules offered in Maze Settings
+export const CONNECTIVITY = {
+  '4':          { label: '4-way' },
+  '8':          { label: '8-way (√2 diagonals)' },
+  '8-nocorner': { label: '8-way, no corner cutting' },
+}
+
+const ORTHO = [[1,0],[-1,0],[0,1],[0,-1]]
+const DIAG  = [[1,1],[1,-1],[-1,1],[-1,-1]]
+
+export const isDiagonal = connectivity => connectivity === '8' || connectivity === '8-nocorner'
+
+// Open cells reachable in one move from (r, c) with the cost of that move:
+// the entered cell's cost, times √2 for diagonal moves. With '8-nocorner'
+// a diagonal move needs both orthogonal cells beside it to be open.
+// `reverse` walks edges backwards: the cost is that of the move from the
+// neighbour into (r, c), as a backward search from the goal needs.
+export function gridNeighbors(model, r, c, connectivity = '4', reverse = false) {
+  const { rows, cols } = model
+  const open = (nr, nc) => nr >= 0 && nr < rows && nc >= 0 && nc < cols && !model.isWallAt(nr * cols + nc)
+  const here = model.costAt(r * cols + c)
+  const out = []
+
+  for (const [dr, dc] of ORTHO) {
+    const nr = r + dr, nc = c + dc
+    if (open(nr, nc)) out.push({ r: nr, c: nc, cost: reverse ? here : model.costAt(nr * cols + nc) })
+  }
+  if (!isDiagonal(connectivity)) return out
+
+  for (const [dr, dc] of DIAG) {
+    const nr = r + dr, nc = c + dc
+    if (!open(nr, nc)) continue
+    if (connectivity === '8-nocorner' && (!open(r + dr, c) || !open(r, c + dc))) continue
+    out.push({ r: nr, c: nc, cost: Math.SQRT2 * (reverse ? here : model.costAt(nr * cols + nc)) })
+  }
+  return out
+}
+
+// Cost of walking `path` ([{ r, c }]) under the given movement rule
+// (Infinity if two consecutive cells are not one legal move apart).
+export function gridPathCost(model, path, connectivity = '4') {
+  let sum = 0
+  for (let i = 1; i < path.length; i++) {
+    const { r, c } = path[i - 1]
+    const step = gridNeighbors(model, r, c, connectivity).find(n => n.r === path[i].r && n.c === path[i].c)
+    if (!step) return Infinity
+    sum += step.cost
+  }
+  return sum
+}
+
+// Cells from the root to cell `id` along `prev` (parent cell ids indexed
+// r * cols + c, -1 at the root), as the grid searches keep them.
+export function cellChain(prev, id, cols) {
+  const cells = []
+  for (; id !== -1; id = prev[id]) cells.push({ r: Math.floor(id / cols), c: id % cols })
+  return cells.reverse()
+}
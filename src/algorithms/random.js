@@ -0,0 +1,15 @@
+// Seeded PRNG (mulberry32): the same seed gives the same sequence, so a
+// board or a random tie-break can be recreated from its seed alone.
+export function createRng(seed = 1) {
+  let a = seed >>> 0
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// a fresh seed, short enough to read out to a class
+export const randomSeed = () => 1 + Math.floor(Math.random() * 99999)
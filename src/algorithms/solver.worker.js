@@ -0,0 +1,69 @@
+// Solver worker: rebuilds the model from its JSON and runs the requested
+// algorithms, or Verify's checks, off the main thread.
+//   in:  { id, kind: 'grid' | 'nodes', data, runs: [{ alg, opts }] }
+//        { id, kind, data, verify: opts }
+//        { id, kind, fuzz: opts }
+//   out: { id, type: 'progress', alg, settled, rounds, total }
+//        { id, type: 'progress', done, total, failures }   fuzz: new failures only
+//        { id, type: 'done', results }   one result per run / the report / all failures
+//        { id, type: 'error', message }
+import GridModel from '../models/GridModel.js'
+import NodeModel from '../models/NodeModel.js'
+import { ALG, NODE_ALG } from './solvers.js'
+import { EV, watchTraces, recordTraces } from './trace.js'
+import { createRng } from './random.js'
+import { verifyGrid, verifyNodes, fuzz } from './verify.js'
+import { MAX_TRACE_EVENTS } from './estimate.js'
+
+const PROGRESS_MS = 100
+
+// longer traces would not survive the copy to the page: past the cap runs
+// keep only their counters and come back with traced: false
+recordTraces('events', { maxEvents: MAX_TRACE_EVENTS })
+
+const failureData = ({ seed, model, problems }) => ({ seed, data: model.toJSON(), problems })
+
+async function fuzzBoards(id, kind, opts) {
+  let sent = 0
+  const failures = await fuzz(kind, opts, {
+    onProgress: (done, total, found) => {
+      self.postMessage({ id, type: 'progress', done, total, failures: found.slice(sent).map(failureData) })
+      sent = found.length
+    },
+  })
+  return failures.map(failureData)
+}
+
+self.onmessage = async ({ data: { id, kind, data, runs, verify, fuzz: fuzzOpts } }) => {
+  try {
+    if (fuzzOpts) {
+      self.postMessage({ id, type: 'done', results: await fuzzBoards(id, kind, fuzzOpts) })
+      return
+    }
+    const model = kind === 'grid' ? GridModel.fromJSON(data) : NodeModel.fromJSON(data)
+    if (verify) {
+      self.postMessage({ id, type: 'done', results: kind === 'grid' ? verifyGrid(model, verify) : verifyNodes(model, verify) })
+      return
+    }
+    const total = kind === 'grid' ? model.rows * model.cols : model.nodes.length
+    const results = runs.map(({ alg, opts }) => {
+      let settled = 0, rounds = 0, last = performance.now()
+      watchTraces(type => {
+        if (type === EV.SETTLE) settled++
+        else rounds++
+        if (type === EV.SETTLE && settled % 256) return   // rounds are rare, settles are not
+        const now = performance.now()
+        if (now - last < PROGRESS_MS) return
+        last = now
+        self.postMessage({ id, type: 'progress', alg, settled, rounds, total })
+      })
+      const table = kind === 'grid' ? ALG : NODE_ALG
+      return (table[alg] || table.dijkstra)(model, { ...opts, rng: createRng(opts.seed) })
+    })
+    watchTraces(null)
+    self.postMessage({ id, type: 'done', results })
+  } catch (err) {
+    watchTraces(null)
+    self.postMessage({ id, type: 'error', message: err.message || String(err) })
+  }
+}
@@ -0,0 +1,33 @@
+// Algorithm tables by key, shared by the app and the solver worker.
+// Grid solvers take (GridModel, { connectivity, heuristic, epsilon, tie, rng });
+// node solvers take (NodeModel, { scale, tie, rng }). Grid `branches` (the
+// route to every other expanded cell) are only built with { branches: true }:
+// on a large board they hold expanded cells × route length entries.
+import { dijShortestPath, dijkstraNodePath } from './dijkstra.js'
+import { aStarShortestPath, aStarNodePath } from './astar.js'
+import { bellmanFordShortestPath, bellmanFordNodePath } from './bellmanford.js'
+import { floydWarsShortestPath, floydWarshallNodePath } from './floydwarshall.js'
+import { bfsNodePath, dfsNodePath } from './traversals.js'
+import { jpsShortestPath } from './jps.js'
+import { biBfsShortestPath, biDijShortestPath, biBfsNodePath, biDijkstraNodePath } from './bidirectional.js'
+
+export const ALG = {
+  dijkstra: dijShortestPath,
+  astar: aStarShortestPath,
+  bellmanFord: bellmanFordShortestPath,
+  floydWarshall: floydWarsShortestPath,
+  jps: jpsShortestPath,
+  biBfs: biBfsShortestPath,
+  biDijkstra: biDijShortestPath,
+}
+
+export const NODE_ALG = {
+  dijkstra: dijkstraNodePath,
+  astar: aStarNodePath,
+  bellmanFord: bellmanFordNodePath,
+  floydWarshall: floydWarshallNodePath,
+  bfs: bfsNodePath,
+  dfs: dfsNodePath,
+  biBfs: biBfsNodePath,
+  biDijkstra: biDijkstraNodePath,
+}
@@ -0,0 +1,202 @@
+// Trace: ordered event log the algorithms emit so views can replay them
+export const EV = {
+  ENQUEUE: 'enqueue',   // pushed onto the frontier
+  SETTLE:  'settle',    // popped from the frontier / finalized
+  RELAX:   'relax',     // edge relaxation improved the tentative distance
+  REJECT:  'reject',    // edge relaxation did not improve
+  ROUND:   'round',     // start of a Bellman-Ford pass / Floyd-Warshall k
+  GOAL:    'goal',      // goal reached
+  MEET:    'meet',      // bidirectional searches met here
+}
+
+// events that open a new replay frame
+const FRAME_START = new Set([EV.SETTLE, EV.ROUND, EV.GOAL, EV.MEET])
+// events that change what is drawn (a frame of only ROUND/REJECT is skipped)
+const VISIBLE = new Set([EV.ENQUEUE, EV.SETTLE, EV.RELAX, EV.GOAL, EV.MEET])
+
+// optional observer of every SETTLE / ROUND emitted, for progress reports
+// from long runs (the solver worker installs one); null to remove it
+let watcher = null
+export function watchTraces(fn) { watcher = fn }
+
+// what traces keep: 'events' (everything, for replay), 'counts' (only the
+// counters, kept as events arrive: memory grows with nodes, not events) or
+// 'off' (nothing, for timing the search alone); headless runs such as the
+// benchmark switch it around a solve and back to 'events'. A trace recording
+// events switches to counts once it holds more than maxEvents of them (the
+// solver worker caps its traces so they stay small enough to post back).
+let recording = 'events', eventCap = Infinity
+export function recordTraces(mode, { maxEvents = Infinity } = {}) { recording = mode; eventCap = maxEvents }
+
+const emptyCounts = () => ({ status: new Map(), stats: emptyStats(), prev: null })
+
+// done(result) adds the trace and the run's stats: the search counters
+// below over every event, plus pathLength (edges) and wall-clock ms, and
+// `traced`, whether the trace holds every event. Without recorded events the
+// trace is empty, and with recording 'off' the stats hold only pathLength and ms.
+export function createTrace() {
+  const events = []
+  const cap = eventCap
+  let mode = recording
+  let live = mode === 'counts' ? emptyCounts() : null
+  const t0 = performance.now()
+  return {
+    events,
+    emit(type, data) {
+      if (mode === 'events') {
+        events.push({ type, ...data })
+        if (events.length > cap) {
+          live = emptyCounts()
+          for (const ev of events) countEvent(live, ev)
+          events.length = 0
+          mode = 'counts'
+        }
+      } else if (live) countEvent(live, { type, ...data })
+      if (watcher && (type === EV.SETTLE || type === EV.ROUND)) watcher(type)
+    },
+    done(result) {
+      const ms = performance.now() - t0
+      const stats = mode === 'events' ? applyFrame(emptyReplay(), events).stats : live?.stats
+      const pathLength = Math.max(0, (result.path?.length || 0) - 1)
+      return { ...result, trace: events, traced: mode === 'events', stats: { ...stats, pathLength, ms } }
+    },
+  }
+}
+
+// Search counters, kept live by applyFrame:
+//   expanded      nodes settled (popped from the frontier)
+//   generated     distinct nodes reached
+//   relaxations   edges examined: RELAX and REJECT, plus BFS/DFS pushes
+//   frontier      nodes queued right now; peakFrontier is its maximum
+//   rounds        Bellman-Ford passes / Floyd-Warshall k steps
+//   passes        Bellman-Ford passes that updated a distance: all but the
+//                 last one when it stopped early because nothing changed
+// Floyd-Warshall only traces the start row, so its counts cover that row.
+export const emptyStats = () => ({ expanded: 0, generated: 0, relaxations: 0, frontier: 0, peakFrontier: 0, rounds: 0, passes: 0 })
+
+// grid events carry r/c, node events carry id; a grid key packs the cell
+// into one number (any board narrower than KEY_STRIDE), cellOfKey unpacks it
+const KEY_STRIDE = 1 << 16
+export const traceKey = ev => (ev.id !== undefined ? ev.id : ev.r * KEY_STRIDE + ev.c)
+export const cellOfKey = key => ({ r: Math.floor(key / KEY_STRIDE), c: key % KEY_STRIDE })
+
+// Split a trace into replay frames: one frame per pop/pass/goal plus
+// whatever relaxations and pushes followed it.
+export function traceFrames(events = []) {
+  const frames = []
+  let cur = []
+  for (const ev of events) {
+    if (FRAME_START.has(ev.type) && cur.length) { frames.push(cur); cur = [] }
+    cur.push(ev)
+  }
+  if (cur.length) frames.push(cur)
+  return frames.filter(f => f.some(ev => VISIBLE.has(ev.type)))
+}
+
+// Replay state: status per key ('frontier' | 'reached' | 'settled'), which
+// search reached it for bidirectional runs (side: 'fwd' | 'bwd'), its parent
+// (the key it was last relaxed or pushed from, on the side that reached it),
+// its distance label so far per side (d, or g for A* / JPS; unsided runs use
+// fwd) and heuristic estimate h, when it was first expanded (order: 1 for
+// the first SETTLE, counting both sides), the events of the most recent
+// frame, whether the goal was hit, where searches met and the counters so far.
+export function emptyReplay() {
+  return {
+    status: new Map(), side: new Map(), from: new Map(), dist: { fwd: new Map(), bwd: new Map() }, h: new Map(), order: new Map(),
+    last: [], goal: false, meet: null, stats: emptyStats(),
+  }
+}
+
+// `from` is a cell, a node id or { id }
+const fromKey = from => (typeof from === 'object' ? traceKey(from) : from)
+
+// the label an event sets: Floyd-Warshall pair updates (from i via k) are
+// not labels of a single node and are left out
+const labelOf = ev => (ev.via !== undefined && ev.from !== undefined ? undefined : ev.d ?? ev.g)
+
+function count(stats, ev, cur, prev) {
+  if (cur === undefined && (ev.type === EV.ENQUEUE || ev.type === EV.RELAX || ev.type === EV.SETTLE)) stats.generated++
+  if (ev.type === EV.SETTLE) {
+    stats.expanded++
+    if (cur === 'frontier') stats.frontier--
+  } else if (ev.type === EV.ENQUEUE) {
+    if (cur !== 'frontier' && cur !== 'settled') stats.peakFrontier = Math.max(stats.peakFrontier, ++stats.frontier)
+    // a push straight off an edge (no RELAX just before it) examined that edge
+    const relaxed = prev?.type === EV.RELAX && traceKey(prev) === traceKey(ev)
+    if (ev.from !== undefined && !relaxed) stats.relaxations++
+  } else if (ev.type === EV.RELAX || ev.type === EV.REJECT) {
+    stats.relaxations++
+    // a pass counts at its first update (only its last pass may have none)
+    if (ev.type === EV.RELAX && stats.passes < stats.rounds) stats.passes++
+  } else if (ev.type === EV.ROUND) {
+    stats.rounds++
+  }
+}
+
+// status after `ev` of a key that had `cur` (undefined when unseen)
+function statusAfter(ev, cur) {
+  if (ev.type === EV.SETTLE) return 'settled'
+  if (ev.type === EV.ENQUEUE && cur !== 'settled') return 'frontier'
+  if (ev.type === EV.RELAX && !cur) return 'reached'
+  return cur
+}
+
+// the counters of applyFrame for one event, without the rest of the replay
+function countEvent(live, ev) {
+  const key = traceKey(ev)
+  const cur = live.status.get(key)
+  count(live.stats, ev, cur, live.prev)
+  live.prev = ev
+  const next = statusAfter(ev, cur)
+  if (next !== cur) live.status.set(key, next)
+}
+
+export function applyFrame(state, frame) {
+  let prev = null
+  for (const ev of frame) {
+    const key = traceKey(ev)
+    const cur = state.status.get(key)
+    count(state.stats, ev, cur, prev)
+    prev = ev
+    if (ev.side && ev.type !== EV.REJECT && !state.side.has(key)) state.side.set(key, ev.side)
+    if ((ev.type === EV.RELAX || ev.type === EV.ENQUEUE) && ev.from !== undefined && ev.via === undefined &&
+        (!ev.side || state.side.get(key) === ev.side)) {
+      state.from.set(key, fromKey(ev.from))
+    }
+    if (ev.h !== undefined) state.h.set(key, ev.h)
+    if ((ev.type === EV.RELAX || ev.type === EV.ENQUEUE || ev.type === EV.SETTLE) && labelOf(ev) !== undefined) {
+      state.dist[ev.side || 'fwd'].set(key, labelOf(ev))
+    }
+    if (ev.type === EV.SETTLE && !state.order.has(key)) state.order.set(key, state.stats.expanded)
+    const next = statusAfter(ev, cur)
+    if (next !== cur) state.status.set(key, next)
+    if (ev.type === EV.GOAL) state.goal = true
+    else if (ev.type === EV.MEET) { state.goal = true; state.meet = key }
+  }
+  state.last = frame
+  return state
+}
+
+export function replayTo(frames, upto) {
+  const state = emptyReplay()
+  for (let i = 0; i < upto && i < frames.length; i++) applyFrame(state, frames[i])
+  return state
+}
+
+// Moments of a run worth jumping to: the goal first reached from the start
+// side (labelled or pushed), the goal settled, and where bidirectional
+// searches met. [{ at, label }] by `at`, the number of frames applied by then.
+export function traceBookmarks(frames, goalKey) {
+  const marks = []
+  const mark = (label, at) => { if (!marks.some(m => m.label === label)) marks.push({ label, at }) }
+  frames.forEach((frame, i) => {
+    for (const ev of frame) {
+      if (ev.type === EV.MEET) mark('Searches meet', i + 1)
+      const pair = ev.via !== undefined && ev.from !== undefined   // Floyd-Warshall i → j via k
+      if (pair || ev.side === 'bwd' || traceKey(ev) !== goalKey) continue
+      if (ev.type === EV.RELAX || ev.type === EV.ENQUEUE || ev.type === EV.SETTLE || ev.type === EV.GOAL) mark('Goal first reached', i + 1)
+      if (ev.type === EV.SETTLE || ev.type === EV.GOAL) mark('Goal settled', i + 1)
+    }
+  })
+  return marks.sort((a, b) => a.at - b.at)
+}
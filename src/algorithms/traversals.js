@@ -1,17 +1,21 @@
-// BFS / DFS for NodeModel (directed graph). Returns path as array of node IDs.
+// BFS / DFS for NodeModel (directed graph). Returns { path: [ids], trace }.
+import { EV, createTrace } from './trace.js'
 
 export function bfsNodePath(model) {
   const start = model.start, goal = model.goal
-  if (!start || !goal) return []
+  const tr = createTrace()
+  if (!start || !goal) return tr.done({ path: [] })
 
   const id2node = id => model.nodes.find(n => n.id === id)
   const q = [start]
   const seen = new Set([start])
   const prev = new Map()
+  tr.emit(EV.ENQUEUE, { id: start })
 
   while (q.length) {
     const u = q.shift()
-    if (u === goal) break
+    tr.emit(EV.SETTLE, { id: u })
+    if (u === goal) { tr.emit(EV.GOAL, { id: u }); break }
     const uNode = id2node(u)
     if (!uNode) continue
     for (const { node: vNode } of model.neighbours(uNode)) {
@@ -21,33 +25,39 @@ export function bfsNodePath(model) {
         seen.add(v)
         prev.set(v, u)
         q.push(v)
+        tr.emit(EV.ENQUEUE, { id: v, from: u })
+      } else {
+        tr.emit(EV.REJECT, { id: v, from: u })
       }
     }
   }
 
-  if (!seen.has(goal)) return []
+  if (!seen.has(goal)) return tr.done({ path: [] })
   const path = []
   for (let cur = goal; cur != null; cur = prev.get(cur)) {
     path.push(cur)
     if (cur === start) break
   }
-  if (path[path.length - 1] !== start) return []
-  return path.reverse()
+  if (path[path.length - 1] !== start) return tr.done({ path: [] })
+  return tr.done({ path: path.reverse() })
 }
 
 export function dfsNodePath(model) {
   const start = model.start, goal = model.goal
-  if (!start || !goal) return []
+  const tr = createTrace()
+  if (!start || !goal) return tr.done({ path: [] })
 
   const id2node = id => model.nodes.find(n => n.id === id)
   const st = [start]
   const seen = new Set([start])
   const prev = new Map()
   let found = false
+  tr.emit(EV.ENQUEUE, { id: start })
 
   while (st.length) {
     const u = st.pop()
-    if (u === goal) { found = true; break }
+    tr.emit(EV.SETTLE, { id: u })
+    if (u === goal) { found = true; tr.emit(EV.GOAL, { id: u }); break }
     const uNode = id2node(u)
     if (!uNode) continue
 
@@ -59,16 +69,19 @@ export function dfsNodePath(model) {
         seen.add(v)
         prev.set(v, u)
         st.push(v)
+        tr.emit(EV.ENQUEUE, { id: v, from: u })
+      } else {
+        tr.emit(EV.REJECT, { id: v, from: u })
       }
     }
   }
 
-  if (!found) return []
+  if (!found) return tr.done({ path: [] })
   const path = []
   for (let cur = goal; cur != null; cur = prev.get(cur)) {
     path.push(cur)
     if (cur === start) break
   }
-  if (path[path.length - 1] !== start) return []
-  return path.reverse()
+  if (path[path.length - 1] !== start) return tr.done({ path: [] })
+  return tr.done({ path: path.reverse() })
 }
@@ -0,0 +1,222 @@
+// Correctness checker: runs every applicable algorithm on one board and
+// compares the answers. Each path must start at Start, end at Goal, move one
+// legal step at a time and never enter a wall (grid) or use a missing edge
+// (graph); grid branches get the same step checks. Algorithms that are exact
+// on the board must agree with the reference on reachability and cost, and
+// the others may never beat it.
+import GridModel, { TERRAIN } from '../models/GridModel.js'
+import NodeModel from '../models/NodeModel.js'
+import { gridNeighbors, gridPathCost, isDiagonal } from './neighbors.js'
+import { isAdmissible, defaultHeuristic } from './heuristics.js'
+import { createRng } from './random.js'
+import { estimateRun } from './estimate.js'
+import { dijShortestPath, dijkstraNodePath } from './dijkstra.js'
+import { aStarShortestPath, aStarNodePath, checkNodeHeuristic } from './astar.js'
+import { bellmanFordShortestPath, bellmanFordNodePath } from './bellmanford.js'
+import { floydWarsShortestPath, floydWarshallNodePath } from './floydwarshall.js'
+import { jpsShortestPath } from './jps.js'
+import { biBfsShortestPath, biDijShortestPath, biBfsNodePath, biDijkstraNodePath } from './bidirectional.js'
+import { bfsNodePath, dfsNodePath } from './traversals.js'
+
+const MAX_PROBLEMS = 5   // per path; one broken reconstruction tends to repeat
+// branches hold one path per expanded cell (cells × depth); past this many
+// cells only the final paths are checked
+export const MAX_BRANCH_CELLS = 2500
+const close = (a, b) => Math.abs(a - b) <= 1e-6 * Math.max(1, Math.abs(a), Math.abs(b))
+const fmt = d => (Number.isInteger(d) ? String(d) : d.toFixed(3))
+
+// inexact(model, opts): why the cost is not expected to be optimal, or null;
+// skip(model): why the algorithm is left out on this board, or null
+export const GRID_CHECKS = {
+  dijkstra:      { label: 'Dijkstra', fn: dijShortestPath },
+  astar:         { label: 'A*', fn: aStarShortestPath,
+    inexact: (m, { heuristic, connectivity, epsilon }) =>
+      (isAdmissible(heuristic || defaultHeuristic(connectivity), { connectivity, epsilon }) ? null : 'heuristic may overestimate') },
+  bellmanFord:   { label: 'Bellman-Ford', fn: bellmanFordShortestPath },
+  floydWarshall: { label: 'Floyd-Warshall', fn: floydWarsShortestPath,
+    skip: m => (m.rows * m.cols > 625 ? 'too slow above 625 cells' : null) },
+  jps:           { label: 'Jump Point Search', fn: jpsShortestPath,
+    inexact: m => (m.hasTerrain() ? 'ignores terrain' : null) },
+  biBfs:         { label: 'Bidirectional BFS', fn: biBfsShortestPath,
+    inexact: (m, { connectivity }) => (m.hasTerrain() || isDiagonal(connectivity) ? 'counts moves, not cost' : null) },
+  biDijkstra:    { label: 'Bidirectional Dijkstra', fn: biDijShortestPath },
+}
+
+// Nodes: every algorithm on a unit-weight copy (BFS is the reference), then
+// the weighted ones on the real weights against Dijkstra
+export const NODE_CHECKS = {
+  bfs:           { label: 'BFS', fn: bfsNodePath },
+  dfs:           { label: 'DFS', fn: dfsNodePath, inexact: () => 'any path' },
+  dijkstra:      { label: 'Dijkstra', fn: dijkstraNodePath, weighted: true },
+  astar:         { label: 'A*', fn: aStarNodePath, weighted: true,
+    inexact: (m, { scale }) => (checkNodeHeuristic(m, { scale }).consistent ? null : 'heuristic is not consistent') },
+  bellmanFord:   { label: 'Bellman-Ford', fn: bellmanFordNodePath, weighted: true },
+  floydWarshall: { label: 'Floyd-Warshall', fn: floydWarshallNodePath, weighted: true },
+  biBfs:         { label: 'Bidirectional BFS', fn: biBfsNodePath },
+  biDijkstra:    { label: 'Bidirectional Dijkstra', fn: biDijkstraNodePath, weighted: true },
+}
+
+const cellName = ({ r, c }) => `(${r}, ${c})`
+
+// step problems of one grid path; `toGoal` for the final path, not branches
+export function checkGridPath(model, path, connectivity = '4', { what = 'Path', toGoal = true } = {}) {
+  const problems = []
+  if (!path.length) return problems
+  const same = (p, q) => q && p.r === q.r && p.c === q.c
+  const reach = isDiagonal(connectivity) ? (dr, dc) => Math.max(dr, dc) === 1 : (dr, dc) => dr + dc === 1
+  if (!same(path[0], model.start)) problems.push(`${what} begins at ${cellName(path[0])}, not at Start`)
+  if (toGoal && !same(path[path.length - 1], model.end)) problems.push(`${what} ends at ${cellName(path[path.length - 1])}, not at Goal`)
+  for (let i = 0; i < path.length; i++) {
+    const p = path[i]
+    if (!(p.r >= 0 && p.r < model.rows && p.c >= 0 && p.c < model.cols)) problems.push(`${what} leaves the grid at ${cellName(p)}`)
+    else if (model.isWall(p.r, p.c)) problems.push(`${what} steps through the wall at ${cellName(p)}`)
+    if (!i) continue
+    const q = path[i - 1]
+    if (!reach(Math.abs(p.r - q.r), Math.abs(p.c - q.c))) problems.push(`${what} is not contiguous: ${cellName(q)} → ${cellName(p)}`)
+    else if (!gridNeighbors(model, q.r, q.c, connectivity).some(n => same(n, p)) && !model.isWall(p.r, p.c)) {
+      problems.push(`${what} cuts a corner: ${cellName(q)} → ${cellName(p)}`)
+    }
+  }
+  return problems
+}
+
+// missing nodes and edges along a node path
+export function checkNodePath(model, ids, { what = 'Path' } = {}) {
+  const problems = []
+  if (!ids.length) return problems
+  const has = new Set(model.nodes.map(n => n.id))
+  if (ids[0] !== model.start) problems.push(`${what} begins at ${ids[0]}, not at Start`)
+  if (ids[ids.length - 1] !== model.goal) problems.push(`${what} ends at ${ids[ids.length - 1]}, not at Goal`)
+  for (let i = 0; i < ids.length; i++) {
+    if (!has.has(ids[i])) problems.push(`${what} visits missing node ${ids[i]}`)
+    if (i && !model.edges.some(e => e.from === ids[i - 1] && e.to === ids[i])) {
+      problems.push(`${what} uses missing edge ${ids[i - 1]} → ${ids[i]}`)
+    }
+  }
+  return problems
+}
+
+const capped = problems => (problems.length > MAX_PROBLEMS
+  ? [...problems.slice(0, MAX_PROBLEMS), `… ${problems.length - MAX_PROBLEMS} more`]
+  : problems)
+
+// reachability / cost disagreements with the reference row
+function compare(rows, refKey) {
+  const ref = rows.find(row => row.key === refKey)
+  for (const row of rows) {
+    if (row === ref || row.skipped || ref.skipped || row.problems.length || ref.problems.length) continue
+    if (row.found !== ref.found) {
+      row.problems.push(row.found ? `Finds a path but ${ref.label} does not` : `Finds no path but ${ref.label} does`)
+    } else if (row.found && !row.note && !close(row.cost, ref.cost)) {
+      row.problems.push(`Costs ${fmt(row.cost)}, ${ref.label} ${fmt(ref.cost)}`)
+    } else if (row.found && row.note && row.cost < ref.cost && !close(row.cost, ref.cost)) {
+      row.problems.push(`Costs ${fmt(row.cost)}, below the optimum ${fmt(ref.cost)}`)
+    }
+  }
+  return rows
+}
+
+// { rows: [{ key, label, found, steps, cost, note, problems }], branches }; a
+// skipped algorithm's row has only `skipped` (the reason) and no problems.
+// Runs the app would ask about first (estimateRun) are skipped too, and
+// `branches` is false when the board was too big to check them.
+export function verifyGrid(model, opts = {}) {
+  const { connectivity = '4', seed = 1, tie = 'fifo' } = opts
+  const branches = model.rows * model.cols <= MAX_BRANCH_CELLS
+  const rows = Object.entries(GRID_CHECKS).map(([key, { label, fn, inexact, skip }]) => {
+    const skipped = skip?.(model) || (estimateRun('grid', key, model, { connectivity }).heavy ? 'too big to check here' : null)
+    if (skipped) return { key, label, skipped, problems: [] }
+    const res = fn(model.clone(), { ...opts, connectivity, tie, rng: createRng(seed), branches })
+    const problems = checkGridPath(model, res.path, connectivity)
+    ;(res.branches || []).forEach((branch, i) => {
+      problems.push(...checkGridPath(model, branch, connectivity, { what: `Branch ${i + 1}`, toGoal: false }))
+    })
+    const found = res.path.length > 0
+    return {
+      key, label, found,
+      steps: found ? res.path.length - 1 : null,
+      cost: found ? gridPathCost(model, res.path, connectivity) : null,
+      note: inexact?.(model, { ...opts, connectivity }) || null,
+      problems: capped(problems),
+    }
+  })
+  return { rows: compare(rows, 'dijkstra'), branches }
+}
+
+function nodeRows(model, checks, opts, weights) {
+  return checks.map(([key, { label, fn, inexact }]) => {
+    const res = fn(model.clone(), { ...opts, rng: createRng(opts.seed ?? 1) })
+    const found = res.path.length > 0
+    return {
+      key, label, found, weights,
+      steps: found ? res.path.length - 1 : null,
+      cost: found ? model.pathCost(res.path) : null,
+      note: inexact?.(model, opts) || null,
+      problems: capped(checkNodePath(model, res.path)),
+    }
+  })
+}
+
+// { rows } for the unit-weight pass, then the weighted pass when no edge is
+// negative (Dijkstra is only exact without negative edges)
+export function verifyNodes(model, opts = {}) {
+  const unit = model.clone()
+  unit.edges.forEach(e => { e.w = 1 })
+  const checks = Object.entries(NODE_CHECKS)
+  const rows = compare(nodeRows(unit, checks, opts, 'unit'), 'bfs')
+  if (!model.edges.some(e => e.w < 0)) {
+    rows.push(...compare(nodeRows(model, checks.filter(([, c]) => c.weighted), opts, 'weighted'), 'dijkstra'))
+  }
+  return { rows }
+}
+
+export const reportProblems = report => report.rows.flatMap(row => row.problems.map(p => `${row.label}: ${p}`))
+
+// random boards for fuzzing, one per seed
+export function fuzzGrid(seed, size) {
+  const rng = createRng(seed)
+  const cell = () => [Math.floor(rng() * size), Math.floor(rng() * size)]
+  const model = new GridModel(size, size)
+  model.setMarker('start', ...cell())
+  model.setMarker('end', ...cell())
+  model.randomFill(0.2 + rng() * 0.2, rng)
+  const types = Object.keys(TERRAIN)
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
+      if (!model.isWall(r, c) && rng() < 0.15) model.setTerrain(r, c, types[Math.floor(rng() * types.length)])
+    }
+  }
+  return model
+}
+
+export function fuzzGraph(seed, size) {
+  const rng = createRng(seed)
+  const model = new NodeModel()
+  const nodes = Array.from({ length: size }, () => model.add(40 + rng() * 580, 40 + rng() * 580))
+  for (const a of nodes) {
+    for (const b of nodes) if (a !== b && rng() < 0.25) model.addEdge(a, b)
+  }
+  model.edges.forEach(e => { e.w = 1 + Math.floor(rng() * 9) })
+  model.setMarker('start', nodes[0])
+  model.setMarker('end', nodes[1 + Math.floor(rng() * (size - 1))])
+  return model
+}
+
+// Verify one random board per seed (grid or graph, `size` cells per side /
+// nodes). Yields between boards; onProgress(done, total, failures so far),
+// stop() as in the benchmark. Resolves with the failing boards:
+// [{ seed, model, problems }]
+export async function fuzz(kind, { seeds = 100, seed = 1, size = 12, ...opts } = {}, { onProgress, stop } = {}) {
+  const failures = []
+  for (let i = 0; i < seeds; i++) {
+    if (stop?.()) break
+    const s = seed + i
+    const model = kind === 'grid' ? fuzzGrid(s, size) : fuzzGraph(s, size)
+    const report = kind === 'grid' ? verifyGrid(model, { ...opts, seed: s }) : verifyNodes(model, { ...opts, seed: s })
+    const problems = reportProblems(report)
+    if (problems.length) failures.push({ seed: s, model, problems })
+    onProgress?.(i + 1, seeds, failures)
+    await new Promise(resolve => setTimeout(resolve, 0))
+  }
+  return failures
+}
@@ -0,0 +1,6 @@
+import React from 'react'
+import { createRoot } from 'react-dom/client'
+import BenchmarkPage from './components/BenchmarkPage.jsx'
+import './styles.css'
+
+createRoot(document.getElementById('root')).render(<BenchmarkPage />)
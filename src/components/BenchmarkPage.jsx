@@ -0,0 +1,210 @@
+import React, { useMemo, useRef, useState } from 'react'
+
+import { BENCH_ALGS, runBenchmark, summarize, runsToCSV, benchJobs } from '../algorithms/benchmark.js'
+import { CONNECTIVITY } from '../algorithms/neighbors.js'
+import { FORMAT } from '../models/format.js'
+import ScalingChart, { SERIES_COLORS } from './ScalingChart.jsx'
+
+const COLUMNS = [
+  ['alg', 'Algorithm'], ['size', 'Size'], ['density', 'Walls'], ['found', 'Solved'],
+  ['expanded', 'Expanded'], ['generated', 'Generated'], ['relaxations', 'Relaxations'],
+  ['peakFrontier', 'Peak frontier'], ['pathLength', 'Path length'], ['cost', 'Path cost'], ['ms', 'Time (ms)'],
+]
+
+const fmt = v => (v === null ? '—' : Number.isInteger(v) ? String(v) : v.toFixed(2))
+
+// "10, 20 40" -> [10, 20, 40]; anything outside [min, max] is an error
+function parseList(text, { min, max, int }) {
+  const parts = text.split(/[\s,]+/).filter(Boolean)
+  const nums = parts.map(Number)
+  if (!parts.length || nums.some(x => !Number.isFinite(x) || x < min || x > max || (int && !Number.isInteger(x)))) return null
+  return [...new Set(nums)].sort((a, b) => a - b)
+}
+
+function download(name, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }))
+  const a = document.createElement('a')
+  a.href = url
+  a.download = name
+  a.click()
+  URL.revokeObjectURL(url)
+}
+
+// BenchmarkPage: random boards for each size × wall density, every picked
+// algorithm run on each without animation; results as a sortable table of
+// means, scaling charts and the raw runs as CSV / JSON.
+export default function BenchmarkPage() {
+  const [algs, setAlgs] = useState(['dijkstra', 'astar', 'jps', 'biDijkstra'])
+  const [sizesText, setSizesText] = useState('10, 20, 40, 80')
+  const [densitiesText, setDensitiesText] = useState('0.1, 0.25')
+  const [boards, setBoards] = useState(5)
+  const [seed, setSeed] = useState(1)
+  const [connectivity, setConnectivity] = useState('4')
+
+  const [runs, setRuns] = useState(null)
+  const [config, setConfig] = useState(null)        // settings of the finished run
+  const [progress, setProgress] = useState(null)    // { done, total } while running
+  const [sort, setSort] = useState({ key: 'size', dir: 1 })
+  const [chartDensity, setChartDensity] = useState(null)
+  const stopRef = useRef(false)
+
+  const sizes = parseList(sizesText, { min: 2, max: 300, int: true })
+  const densities = parseList(densitiesText, { min: 0, max: 0.9 })
+  const valid = sizes && densities && algs.length && boards >= 1 && Number.isInteger(seed)
+  const boardCount = valid ? benchJobs({ sizes, densities, boards, seed }).length : 0
+
+  const toggle = alg => setAlgs(a => (a.includes(alg) ? a.filter(x => x !== alg) : [...a, alg]))
+
+  const start = async () => {
+    const cfg = { algs: Object.keys(BENCH_ALGS).filter(a => algs.includes(a)), sizes, densities, boards, seed, connectivity }
+    stopRef.current = false
+    setProgress({ done: 0, total: boardCount })
+    const result = await runBenchmark(cfg, {
+      onProgress: (done, total) => setProgress({ done, total }),
+      stop: () => stopRef.current,
+    })
+    setProgress(null)
+    setRuns(result)
+    setConfig(cfg)
+    setChartDensity(cfg.densities[0])
+  }
+
+  const summary = useMemo(() => (runs ? summarize(runs) : []), [runs])
+
+  const sorted = useMemo(() => {
+    const { key, dir } = sort
+    const val = row => (key === 'alg' ? BENCH_ALGS[row.alg].label : row[key])
+    return [...summary].sort((a, b) => {
+      const x = val(a), y = val(b)
+      if (x === y) return 0
+      if (x === null) return 1          // rows without a value sink either way
+      if (y === null) return -1
+      return (x < y ? -1 : 1) * dir
+    })
+  }, [summary, sort])
+
+  const sortBy = key => setSort(s => ({ key, dir: s.key === key ? -s.dir : 1 }))
+
+  // one series per algorithm at the chosen density, x = board size
+  const chartSeries = field => (config ? config.algs : [])
+    .map((alg, i) => ({
+      label: BENCH_ALGS[alg].label,
+      color: SERIES_COLORS[i % SERIES_COLORS.length],
+      points: summary.filter(r => r.alg === alg && r.density === chartDensity).map(r => [r.size, r[field]]),
+    }))
+    .filter(s => s.points.length)
+  const timeSeries = useMemo(() => chartSeries('ms'), [summary, chartDensity]) // eslint-disable-line react-hooks/exhaustive-deps
+  const relaxSeries = useMemo(() => chartSeries('relaxations'), [summary, chartDensity]) // eslint-disable-line react-hooks/exhaustive-deps
+
+  const exportCSV = () => download('benchmark.csv', runsToCSV(runs), 'text/csv')
+  const exportJSON = () => download('benchmark.json',
+    JSON.stringify({ format: `${FORMAT}-benchmark`, config, runs }, null, 2), 'application/json')
+
+  return (
+    <>
+      <header>
+        <h1>Benchmark</h1>
+        <a className="benchBack" href="./">← Back to the visualizer</a>
+      </header>
+
+      <main className="bench">
+        <section className="benchForm">
+          <fieldset>
+            <legend>Algorithms</legend>
+            {Object.entries(BENCH_ALGS).map(([key, { label, maxSize }]) => (
+              <label key={key} title={maxSize ? `Skipped on boards larger than ${maxSize}×${maxSize}` : undefined}>
+                <input type="checkbox" checked={algs.includes(key)} onChange={() => toggle(key)} />
+                {label}{maxSize ? ` (≤ ${maxSize})` : ''}
+              </label>
+            ))}
+          </fieldset>
+
+          <div className="benchFields">
+            <label>Board sizes
+              <input value={sizesText} onChange={e => setSizesText(e.target.value)} aria-invalid={!sizes} />
+            </label>
+            <label>Wall densities
+              <input value={densitiesText} onChange={e => setDensitiesText(e.target.value)} aria-invalid={!densities} />
+            </label>
+            <label>Boards per combination
+              <input type="number" min="1" max="100" value={boards} onChange={e => setBoards(Math.max(1, Math.min(100, Number(e.target.value) || 1)))} />
+            </label>
+            <label>Seed
+              <input type="number" min="1" value={seed} onChange={e => setSeed(Math.max(1, Math.floor(Number(e.target.value)) || 1))} />
+            </label>
+            <label>Movement
+              <select value={connectivity} onChange={e => setConnectivity(e.target.value)}>
+                {Object.entries(CONNECTIVITY).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+              </select>
+            </label>
+          </div>
+
+          <div className="benchActions">
+            {progress ? (
+              <>
+                <button onClick={() => { stopRef.current = true }}>Stop</button>
+                <progress max={progress.total} value={progress.done} />
+                <span>{progress.done} / {progress.total} boards</span>
+              </>
+            ) : (
+              <>
+                <button className="primary" onClick={start} disabled={!valid}>Run</button>
+                <span>{valid ? `${boardCount} boards × ${algs.length} algorithms` : 'Sizes 2–300, densities 0–0.9, one algorithm or more'}</span>
+              </>
+            )}
+          </div>
+        </section>
+
+        {runs && (
+          <>
+            <section className="benchResults">
+              <div className="benchResultsHeader">
+                <h2>Results · means over {config.boards} board{config.boards === 1 ? '' : 's'}</h2>
+                <button onClick={exportCSV}>Download CSV</button>
+                <button onClick={exportJSON}>Download JSON</button>
+              </div>
+              <div className="benchTableScroll">
+                <table className="benchTable">
+                  <thead>
+                    <tr>
+                      {COLUMNS.map(([key, label]) => (
+                        <th key={key} aria-sort={sort.key === key ? (sort.dir > 0 ? 'ascending' : 'descending') : 'none'}>
+                          <button onClick={() => sortBy(key)}>
+                            {label}{sort.key === key ? (sort.dir > 0 ? ' ▲' : ' ▼') : ''}
+                          </button>
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {sorted.map(row => (
+                      <tr key={`${row.alg}|${row.size}|${row.density}`}>
+                        <td>{BENCH_ALGS[row.alg].label}</td>
+                        <td>{row.size}×{row.size}</td>
+                        <td>{row.density}</td>
+                        <td>{row.found}/{row.boards}</td>
+                        {COLUMNS.slice(4).map(([key]) => <td key={key}>{fmt(row[key])}</td>)}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </section>
+
+            <section className="benchCharts">
+              <label>Wall density&nbsp;
+                <select value={chartDensity} onChange={e => setChartDensity(Number(e.target.value))}>
+                  {config.densities.map(d => <option key={d} value={d}>{d}</option>)}
+                </select>
+              </label>
+              <div className="benchChartRow">
+                <ScalingChart title="Mean time (ms) by board size" xLabel="cells per side" series={timeSeries} />
+                <ScalingChart title="Mean edge relaxations by board size" xLabel="cells per side" series={relaxSeries} />
+              </div>
+            </section>
+          </>
+        )}
+      </main>
+    </>
+  )
+}
@@ -0,0 +1,84 @@
+import React from 'react'
+
+import { EV, traceKey } from '../algorithms/trace.js'
+
+const fmtNum = d => (d === Infinity || d >= 1e9 ? '∞' : Number.isInteger(d) ? String(d) : d.toFixed(2))
+const fmtNode = x => (x === undefined || x === null ? undefined
+  : typeof x !== 'object' ? String(x) : x.id !== undefined ? String(x.id) : `(${x.r}, ${x.c})`)
+
+// Line of `code` each snippet starts (leading text of a trimmed line, first
+// match wins); -1 when the pseudocode has no such line.
+const lineOf = (lines, snippet) => lines.findIndex(line => line.trim().startsWith(snippet))
+
+// Where one replay frame is in the pseudocode. `steps` maps an event type (or
+// 'start' for the frame before the first pop / pass) to the lines that event
+// runs, the last of them the line being executed; `names` are what the
+// pseudocode calls the popped node (u), the neighbour (v), the tentative
+// distance (alt), the stored labels (dist) and the loop counter of a pass or
+// k step (round). Uses the frame's last mapped event, read against `replay`
+// after the frame was applied. Returns { current, ran, vars } or null.
+export function codeStep(code, { steps, names }, frame, replay) {
+  if (!frame?.length) return null
+  const lines = code.split('\n')
+  const opens = frame.some(ev => ev.type === EV.SETTLE || ev.type === EV.ROUND || ev.type === EV.GOAL || ev.type === EV.MEET)
+  const stepOf = ev => steps[opens ? ev.type : 'start']
+
+  const ran = new Set()
+  let ev = null
+  for (const e of frame) {
+    const snippets = stepOf(e)
+    if (!snippets) continue
+    snippets.forEach(s => ran.add(lineOf(lines, s)))
+    ev = e
+  }
+  if (!ev) return null
+  const current = lineOf(lines, stepOf(ev).at(-1))
+  ran.delete(-1)
+
+  const round = frame.find(e => e.type === EV.ROUND)
+  const popped = frame.find(e => e.type === EV.SETTLE)
+  const label = (e, key) => replay.dist[e.side || 'fwd'].get(key)
+  const vars = []
+  const add = (name, value) => { if (name && value !== undefined) vars.push([name, value]) }
+
+  if (round) add(names.round, round.k !== undefined ? fmtNode(round.k) : String(round.i))
+  if (ev.side) add('side', ev.side)
+  if (!opens) {
+    if (ev.type === EV.ENQUEUE) add(ev.side === 'bwd' ? 'goal' : 'start', fmtNode(ev.id ?? { r: ev.r, c: ev.c }))
+  } else if (ev.type === EV.SETTLE || ev.type === EV.GOAL) {
+    const u = popped ? names.u : 'goal'   // a goal frame of its own
+    add(u, fmtNode(ev.id ?? { r: ev.r, c: ev.c }))
+    const d = ev.d ?? ev.g
+    if (d !== undefined && names.dist) add(`${names.dist}[${u}]`, fmtNum(d))
+  } else if (ev.type === EV.MEET) {
+    add('meet', fmtNode(ev.id ?? { r: ev.r, c: ev.c }))
+    add('best', fmtNum(ev.d))
+  } else if (ev.type !== EV.ROUND) {
+    const u = ev.from ?? (popped && (popped.id ?? { r: popped.r, c: popped.c }))
+    add(names.u, fmtNode(u))
+    add(names.v, fmtNode(ev.id ?? { r: ev.r, c: ev.c }))
+    const alt = ev.d ?? ev.g
+    if (alt !== undefined) add(names.alt, fmtNum(alt))
+    const d = label(ev, traceKey(ev))
+    if (d !== undefined && names.dist) add(`${names.dist}[${names.v}]`, fmtNum(d))
+  }
+  return { current, ran, vars }
+}
+
+// CodeBlock: the pseudocode, with the lines of the current replay frame
+// marked and the local variables written beside the line being executed
+// (see codeStep).
+export default function CodeBlock({ code, step }) {
+  return (
+    <pre className="codeBlock">
+      {code.split('\n').map((line, i) => (
+        <span key={i} className={i === step?.current ? 'codeLine current' : step?.ran.has(i) ? 'codeLine ran' : 'codeLine'}>
+          {line || ' '}
+          {i === step?.current && step.vars.length > 0 && (
+            <span className="codeVars">{'  ⟵ '}{step.vars.map(([name, value]) => `${name} = ${value}`).join(', ')}</span>
+          )}
+        </span>
+      ))}
+    </pre>
+  )
+}
@@ -0,0 +1,55 @@
+import React, { useMemo } from 'react'
+
+import { fwMatrixAt } from '../algorithms/floydwarshall.js'
+
+const fmt = d => (d === Infinity ? '∞' : Number.isInteger(d) ? String(d) : d.toFixed(1))
+
+// DistMatrix: Floyd-Warshall dist matrix (Nodes mode) after `step` intermediates.
+// Cells improved by the current k are highlighted; clicking a cell selects that pair.
+export default function DistMatrix({ run, step, onStep, selected, onSelect }) {
+  const { dist, changed } = useMemo(() => fwMatrixAt(run, step), [run, step])
+  const { ids } = run
+  const V = ids.length
+
+  return (
+    <section className="matrix">
+      <h3>Distance matrix · {step === 0 ? 'direct edges' : `k = ${ids[step - 1]} (${step}/${V})`}</h3>
+
+      <div className="matrixControls">
+        <button onClick={() => onStep(Math.max(0, step - 1))} disabled={step === 0} aria-label="Previous k">◀</button>
+        <input type="range" min="0" max={V} value={step} onChange={e => onStep(Number(e.target.value))} />
+        <button onClick={() => onStep(Math.min(V, step + 1))} disabled={step === V} aria-label="Next k">▶</button>
+      </div>
+
+      <div className="matrixScroll">
+        <table className="distMatrix">
+          <thead>
+            <tr>
+              <th></th>
+              {ids.map((id, j) => <th key={id} className={step && j === step - 1 ? 'pivot' : ''}>{id}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {ids.map((rowId, i) => (
+              <tr key={rowId}>
+                <th className={step && i === step - 1 ? 'pivot' : ''}>{rowId}</th>
+                {ids.map((colId, j) => {
+                  const cls = [
+                    changed.has(`${i},${j}`) ? 'changed' : '',
+                    selected && selected.i === i && selected.j === j ? 'selected' : '',
+                    dist[i][j] < 0 && i === j ? 'negCycle' : '',
+                  ].filter(Boolean).join(' ')
+                  return (
+                    <td key={colId} className={cls} onClick={() => onSelect(i, j)} title={`${rowId} → ${colId}`}>
+                      {fmt(dist[i][j])}
+                    </td>
+                  )
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  )
+}
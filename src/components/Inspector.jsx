@@ -0,0 +1,128 @@
+import React, { useMemo } from 'react'
+
+import { cellOfKey } from '../algorithms/trace.js'
+
+const LIST_MAX = 50   // rows per list; big grids would otherwise render thousands
+
+// no label: unreached (∞) in the distance table, not traced ('—') in the frontier
+const fmt = (d, none = '∞') => (d === undefined ? none : Number.isInteger(d) ? String(d) : d.toFixed(2))
+
+// how each algorithm orders its frontier: by a label, or as a FIFO queue /
+// LIFO stack in push order; null for the ones that sweep every edge instead
+const ORDER = {
+  dijkstra: 'd', biDijkstra: 'd', astar: 'f', jps: 'f',
+  bfs: 'fifo', biBfs: 'fifo', dfs: 'lifo',
+  bellmanFord: null, floydWarshall: null,
+}
+const TITLES = { d: 'Priority queue · by d', f: 'Open list · by f = g + h', fifo: 'Queue · front first', lifo: 'Stack · top first' }
+
+// Frontier, counts and parent pointers of a replay (trace.js) at its current
+// frame. Entries: { key, name, side, d, h, f }; `d` is g for A* / JPS.
+export function inspectReplay(replay, kind, alg) {
+  const name = key => (kind === 'grid' ? (({ r, c }) => `(${r}, ${c})`)(cellOfKey(key)) : String(key))
+  const entry = key => {
+    const side = replay.side.get(key) || 'fwd'
+    const d = replay.dist[side].get(key)
+    const h = replay.h.get(key)
+    return { key, name: name(key), side, d, h, f: h === undefined || d === undefined ? undefined : d + h }
+  }
+
+  const order = ORDER[alg]
+  let frontier = []
+  for (const [key, status] of replay.status) if (status === 'frontier') frontier.push(entry(key))
+  if (order === 'd') frontier.sort((a, b) => (a.d ?? Infinity) - (b.d ?? Infinity))
+  else if (order === 'f') frontier.sort((a, b) => (a.f ?? Infinity) - (b.f ?? Infinity) || (a.h ?? 0) - (b.h ?? 0))
+  else if (order === 'lifo') frontier.reverse()
+  else if (!order) frontier = []
+
+  let settled = 0
+  for (const status of replay.status.values()) if (status === 'settled') settled++
+  const parents = [...replay.from].map(([key, from]) => ({ key, name: name(key), parent: name(from) }))
+  return { order, frontier, settled, reached: replay.status.size, parents }
+}
+
+// Inspector: the search state at the replayed frame: the frontier in the
+// order the algorithm pops it, closed / reached counts, parent pointers and,
+// in Nodes mode, every node's distance. `frameNo` changes with every frame
+// (the replay itself is updated in place); onHover(key | null) as the pointer
+// enters and leaves an entry.
+export default function Inspector({ kind, alg, replay, frameNo, nodeIds, onHover }) {
+  const state = useMemo(() => inspectReplay(replay, kind, alg), [replay, frameNo, kind, alg]) // eslint-disable-line react-hooks/exhaustive-deps
+  const bi = alg === 'biBfs' || alg === 'biDijkstra'
+  const keyed = state.order === 'd' || state.order === 'f'
+  const hover = key => ({ onMouseEnter: () => onHover(key), onMouseLeave: () => onHover(null) })
+
+  return (
+    <div className="inspector">
+      <p className="inspectCounts">
+        Closed (settled): <strong>{state.settled}</strong> · Frontier: <strong>{state.frontier.length}</strong> · Reached: <strong>{state.reached}</strong>
+      </p>
+
+      <div className="inspectCols">
+        <section>
+          <h4>{state.order ? `${TITLES[state.order]} (${state.frontier.length})` : 'No queue: every pass relaxes every edge'}</h4>
+          {state.order && (
+            <table className="inspectTable">
+              <thead>
+                <tr>
+                  <th>{kind === 'grid' ? 'Cell' : 'Node'}</th>
+                  {bi && <th>Side</th>}
+                  {keyed && state.order === 'f' ? <><th>f</th><th>g</th><th>h</th></> : keyed && <th>d</th>}
+                  {!keyed && bi && <th>depth</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {state.frontier.slice(0, LIST_MAX).map(e => (
+                  <tr key={`${e.side}|${e.key}`} {...hover(e.key)}>
+                    <td>{e.name}</td>
+                    {bi && <td>{e.side === 'bwd' ? 'backward' : 'forward'}</td>}
+                    {state.order === 'f' ? <><td>{fmt(e.f, '—')}</td><td>{fmt(e.d, '—')}</td><td>{fmt(e.h, '—')}</td></> : (keyed || bi) && <td>{fmt(e.d, '—')}</td>}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {state.frontier.length > LIST_MAX && <p className="inspectMore">… {state.frontier.length - LIST_MAX} more</p>}
+        </section>
+
+        <section>
+          <h4>Parent pointers ({state.parents.length})</h4>
+          <ul className="inspectList">
+            {state.parents.slice(0, LIST_MAX).map(p => <li key={p.key} {...hover(p.key)}>prev[{p.name}] = {p.parent}</li>)}
+          </ul>
+          {state.parents.length > LIST_MAX && <p className="inspectMore">… {state.parents.length - LIST_MAX} more</p>}
+        </section>
+
+        {kind === 'nodes' && (
+          <section>
+            <h4>dist per node</h4>
+            {alg === 'floydWarshall' ? <p className="inspectMore">All pairs are in the matrix.</p> : (
+              <table className="inspectTable">
+                <thead>
+                  <tr>
+                    <th>Node</th>
+                    <th>{bi ? 'dist fwd' : alg === 'astar' ? 'g' : 'dist'}</th>
+                    {bi && <th>dist bwd</th>}
+                    <th>prev</th>
+                    <th>Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {nodeIds.map(id => (
+                    <tr key={id} {...hover(id)}>
+                      <td>{id}</td>
+                      <td>{alg === 'bfs' || alg === 'dfs' ? '—' : fmt(replay.dist.fwd.get(id))}</td>
+                      {bi && <td>{fmt(replay.dist.bwd.get(id))}</td>}
+                      <td>{replay.from.get(id) ?? '—'}</td>
+                      <td>{replay.status.get(id) || '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </section>
+        )}
+      </div>
+    </div>
+  )
+}
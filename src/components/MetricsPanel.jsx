@@ -0,0 +1,33 @@
+import React from 'react'
+
+const fmt = d => (Number.isInteger(d) ? String(d) : d.toFixed(2))
+const fmtMs = ms => (ms < 0.1 ? '< 0.1 ms' : ms < 100 ? `${ms.toFixed(1)} ms` : `${Math.round(ms)} ms`)
+
+// MetricsPanel: stats of the last run (trace.js createTrace().done()).
+// While the search is being replayed, `live` holds the counters so far and
+// the path rows wait for the replay to finish.
+export default function MetricsPanel({ stats, live, cost, iterations }) {
+  const s = live || stats
+  const pending = !!live
+  const rows = [
+    ['Expanded', s.expanded],
+    ['Generated', s.generated],
+    ['Relaxations', s.relaxations],
+    ['Peak frontier', s.peakFrontier],
+    ['Path length', pending ? '…' : cost === null ? 'no path' : stats.pathLength],
+    ['Path cost', pending ? '…' : cost === null ? 'no path' : fmt(cost)],
+    ['Compute time', fmtMs(stats.ms)],
+  ]
+  if (iterations) rows.push(['Iterations', s.passes])
+
+  return (
+    <dl className="metricsList">
+      {rows.map(([label, value]) => (
+        <div key={label}>
+          <dt>{label}</dt>
+          <dd>{value}</dd>
+        </div>
+      ))}
+    </dl>
+  )
+}
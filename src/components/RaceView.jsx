@@ -0,0 +1,142 @@
+import React, { useEffect, useRef, useState } from 'react'
+
+import GridView from '../views/GridView.js'
+import NodeView from '../views/NodeView.js'
+import { EV, traceFrames, emptyReplay, applyFrame } from '../algorithms/trace.js'
+
+const LANE_PX = 300
+const fmt = d => (Number.isInteger(d) ? String(d) : d.toFixed(2))
+
+// ticks a lane needs: one per trace frame, then one per path step
+const laneLength = lane => lane.frames.length + Math.max(0, lane.res.path.length - 1)
+
+// RaceView: the picked algorithms run on clones of one board, each on its own
+// canvas. Every lane advances one trace frame per tick (then one path cell),
+// so the searches unfold side by side in lockstep.
+// solve(algs) -> Promise of [{ path, trace, traced, stats }] per alg (in the solver worker,
+// null when declined or cancelled); busy: status text while it computes;
+// costOf(model, path) -> number
+export default function RaceView({ visual, model, choices, initial, solve, busy, onCancel, costOf, speed, colors, onClose }) {
+  const [picked, setPicked] = useState(initial)
+  const [lanes, setLanes] = useState(null)
+  const [t, setT] = useState(0)
+  const [playing, setPlaying] = useState(false)
+  const canvases = useRef([])
+  const views = useRef([])
+  const progress = useRef([])   // per lane: { replay, applied }
+
+  const total = lanes ? Math.max(...lanes.map(laneLength)) : 0
+
+  const start = async () => {
+    setPlaying(false)
+    const results = await solve(picked)
+    if (!results) return
+    setLanes(picked.map((alg, i) => {
+      const clone = model.clone()
+      const res = results[i]
+      const frames = traceFrames(res.trace)
+      // settled[i]: nodes expanded after i frames (all of them at once for a
+      // search too long to record)
+      const settled = [res.traced ? 0 : res.stats.expanded]
+      for (const f of frames) settled.push(settled[settled.length - 1] + f.filter(ev => ev.type === EV.SETTLE).length)
+      const label = choices.find(c => c.key === alg).label
+      return { alg, label, model: clone, res, frames, settled, cost: res.path.length ? costOf(clone, res.path) : null }
+    }))
+    setT(0)
+    setPlaying(true)
+  }
+
+  const toggle = alg => setPicked(p => (p.includes(alg) ? p.filter(a => a !== alg) : [...p, alg]))
+
+  // one view per lane, rebuilt whenever a race starts
+  useEffect(() => {
+    if (!lanes) return
+    views.current = lanes.map((lane, i) => {
+      const canvas = canvases.current[i]
+      if (visual === 'maze') {
+        const cellSize = LANE_PX / Math.max(lane.model.rows, lane.model.cols)
+        return new GridView(canvas, lane.model, { cellSize, gridColor: colors.grid, wallColor: colors.wall })
+      }
+      const view = new NodeView(canvas, lane.model, { interactive: false, zoom: LANE_PX / (22 * 30) })
+      view.loadAnim(lane.res.path, lane.res.trace)
+      return view
+    })
+    progress.current = lanes.map(() => ({ replay: emptyReplay(), applied: 0 }))
+    return () => views.current.forEach(v => v.destroy?.())
+  }, [lanes]) // eslint-disable-line react-hooks/exhaustive-deps
+
+  // bring every lane up to tick t and redraw it
+  useEffect(() => {
+    if (!lanes) return
+    lanes.forEach((lane, i) => {
+      const view = views.current[i], p = progress.current[i]
+      if (!view || !p) return
+      const F = lane.frames.length
+      if (visual === 'maze') {
+        while (p.applied < Math.min(t, F)) applyFrame(p.replay, lane.frames[p.applied++])
+        view.draw()
+        view.drawReplay(p.replay, { jumps: !!lane.res.jumpPoints })
+        if (t >= F) view.drawPath(lane.res.path, t - F)
+      } else {
+        while (p.applied < Math.min(t, laneLength(lane))) { view.stepAnim(); p.applied++ }
+      }
+    })
+  }, [t, lanes]) // eslint-disable-line react-hooks/exhaustive-deps
+
+  // the shared clock: frames go 4x faster than the main view's cell speed
+  useEffect(() => {
+    if (!playing || !lanes) return
+    if (t >= total) { setPlaying(false); return }
+    const id = setTimeout(() => setT(x => x + 1), Math.max(5, speed / 4))
+    return () => clearTimeout(id)
+  }, [playing, t, lanes, total, speed])
+
+  return (
+    <div className="modalOverlay" role="dialog" aria-modal="true" aria-labelledby="raceTitle" onClick={onClose}>
+      <div className="modalPanel racePanel" onClick={e => e.stopPropagation()}>
+        <div className="modalHeader">
+          <h2 id="raceTitle">Race</h2>
+          <button className="iconBtn closeBtn" aria-label="Close race" onClick={onClose} title="Close">✕</button>
+        </div>
+
+        <div className="raceControls">
+          {choices.map(c => (
+            <label key={c.key}>
+              <input type="checkbox" checked={picked.includes(c.key)} onChange={() => toggle(c.key)} />
+              {c.label}
+            </label>
+          ))}
+          <button className="primary" onClick={start} disabled={picked.length < 2 || !!busy}>Start</button>
+          <button onClick={() => setPlaying(p => !p)} disabled={!lanes || t >= total}>{playing ? 'Pause' : 'Play'}</button>
+          <button onClick={() => { setPlaying(false); setT(x => Math.min(total, x + 1)) }} disabled={!lanes || t >= total}>Step</button>
+        </div>
+
+        {busy && (
+          <p className="raceBusy" role="status">
+            {busy} <button onClick={onCancel}>Cancel</button>
+          </p>
+        )}
+
+        {lanes && (
+          <div className="raceLanes">
+            {lanes.map((lane, i) => {
+              const F = lane.frames.length
+              return (
+                <figure key={lane.alg} className="raceLane">
+                  <figcaption>{lane.label}{!lane.res.traced && ' · path only'}</figcaption>
+                  <canvas ref={el => { canvases.current[i] = el }} />
+                  <dl className="raceStats">
+                    <dt>Expanded</dt>
+                    <dd>{lane.settled[Math.min(t, F)]}</dd>
+                    <dt>Path cost</dt>
+                    <dd>{t < F ? '…' : lane.cost === null ? 'no path' : fmt(lane.cost)}</dd>
+                  </dl>
+                </figure>
+              )
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
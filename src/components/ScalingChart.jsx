@@ -0,0 +1,72 @@
+import React, { useEffect, useRef } from 'react'
+
+const W = 460, H = 260
+const PAD = { l: 56, r: 12, t: 14, b: 34 }
+export const SERIES_COLORS = ['#2563eb', '#f59e0b', '#16a34a', '#ef4444', '#7c3aed', '#0891b2', '#db2777']
+
+const tickLabel = v => (v >= 10000 ? `${Math.round(v / 1000)}k` : v >= 100 ? String(Math.round(v)) : String(+v.toFixed(2)))
+
+// ScalingChart: one line per series over a shared numeric x axis.
+// series = [{ label, color, points: [[x, y], ...] }]
+export default function ScalingChart({ title, xLabel, series }) {
+  const canvasRef = useRef(null)
+
+  useEffect(() => {
+    const canvas = canvasRef.current
+    const dpr = window.devicePixelRatio || 1
+    canvas.width = W * dpr; canvas.height = H * dpr
+    canvas.style.width = `${W}px`; canvas.style.height = `${H}px`
+    const ctx = canvas.getContext('2d')
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0)
+    ctx.clearRect(0, 0, W, H)
+
+    const style = getComputedStyle(document.body)
+    const muted = style.getPropertyValue('--muted').trim() || '#64748b'
+    const border = style.getPropertyValue('--border').trim() || '#e5e7eb'
+
+    const pts = series.flatMap(s => s.points)
+    if (!pts.length) return
+    const xs = [...new Set(pts.map(p => p[0]))].sort((a, b) => a - b)
+    const xMin = xs[0], xMax = xs[xs.length - 1]
+    const yMax = Math.max(...pts.map(p => p[1])) || 1
+    const px = x => PAD.l + (xMax === xMin ? 0.5 : (x - xMin) / (xMax - xMin)) * (W - PAD.l - PAD.r)
+    const py = y => H - PAD.b - (y / yMax) * (H - PAD.t - PAD.b)
+
+    // axes, y gridlines at quarters, an x tick per measured size
+    ctx.font = '11px system-ui, sans-serif'
+    ctx.lineWidth = 1
+    ctx.strokeStyle = border
+    ctx.fillStyle = muted
+    ctx.textAlign = 'right'; ctx.textBaseline = 'middle'
+    for (let i = 0; i <= 4; i++) {
+      const y = py(yMax * i / 4)
+      ctx.beginPath(); ctx.moveTo(PAD.l, y); ctx.lineTo(W - PAD.r, y); ctx.stroke()
+      ctx.fillText(tickLabel(yMax * i / 4), PAD.l - 6, y)
+    }
+    ctx.textAlign = 'center'; ctx.textBaseline = 'top'
+    for (const x of xs) ctx.fillText(String(x), px(x), H - PAD.b + 5)
+    ctx.fillText(xLabel, (PAD.l + W - PAD.r) / 2, H - 14)
+
+    ctx.lineWidth = 2
+    for (const s of series) {
+      const sorted = [...s.points].sort((a, b) => a[0] - b[0])
+      ctx.strokeStyle = ctx.fillStyle = s.color
+      ctx.beginPath()
+      sorted.forEach(([x, y], i) => (i ? ctx.lineTo(px(x), py(y)) : ctx.moveTo(px(x), py(y))))
+      ctx.stroke()
+      for (const [x, y] of sorted) { ctx.beginPath(); ctx.arc(px(x), py(y), 3, 0, Math.PI * 2); ctx.fill() }
+    }
+  }, [series, xLabel])
+
+  return (
+    <figure className="benchChart">
+      <figcaption>{title}</figcaption>
+      <canvas ref={canvasRef} />
+      <ul className="benchLegend">
+        {series.map(s => (
+          <li key={s.label}><span className="swatch" style={{ background: s.color }} />{s.label}</li>
+        ))}
+      </ul>
+    </figure>
+  )
+}
@@ -0,0 +1,46 @@
+import React from 'react'
+
+// Timeline: the whole recorded run on one slider (the replayed trace frames,
+// then the moves along the path), with jump to start / end, a step back and
+// forward, a field to jump to any step, and bookmarks ({ at, label }) that
+// seek there on click. onSeek(step) with step already clamped to the run.
+export default function Timeline({ pos, total, bookmarks, onSeek }) {
+  const seek = t => onSeek(Math.max(0, Math.min(total, t)))
+
+  return (
+    <div className="timeline">
+      <div className="timelineBar">
+        <button onClick={() => seek(0)} disabled={pos <= 0} title="Jump to start" aria-label="Jump to start">⏮</button>
+        <button onClick={() => seek(pos - 1)} disabled={pos <= 0} title="Step back" aria-label="Step back">◀</button>
+        <input
+          type="range"
+          min="0"
+          max={total}
+          value={pos}
+          list="timelineMarks"
+          aria-label="Timeline"
+          onChange={e => seek(Number(e.target.value))}
+        />
+        <button onClick={() => seek(pos + 1)} disabled={pos >= total} title="Step forward" aria-label="Step forward">▶</button>
+        <button onClick={() => seek(total)} disabled={pos >= total} title="Jump to end" aria-label="Jump to end">⏭</button>
+        <label className="timelineStep">Step&nbsp;
+          <input type="number" min="0" max={total} value={pos} onChange={e => seek(Math.round(Number(e.target.value)) || 0)} />
+          &nbsp;/ {total}
+        </label>
+      </div>
+
+      <datalist id="timelineMarks">
+        {bookmarks.map(b => <option key={b.label} value={b.at} />)}
+      </datalist>
+      {bookmarks.length > 0 && (
+        <div className="timelineMarks">
+          {bookmarks.map(b => (
+            <button key={b.label} className={pos === b.at ? 'current' : ''} onClick={() => seek(b.at)} title={`Jump to step ${b.at}`}>
+              {b.label} · {b.at}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
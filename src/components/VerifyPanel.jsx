@@ -0,0 +1,155 @@
+import React, { useEffect, useRef, useState } from 'react'
+
+import GridModel from '../models/GridModel.js'
+import NodeModel from '../models/NodeModel.js'
+import Solver, { CancelledError } from '../algorithms/Solver.js'
+import { reportProblems, MAX_BRANCH_CELLS } from '../algorithms/verify.js'
+
+const fmt = d => (Number.isInteger(d) ? String(d) : d.toFixed(2))
+
+// VerifyPanel: cross-checks every algorithm on the current board, and fuzzes
+// random boards from consecutive seeds, both in a solver worker of its own
+// (closing the panel stops it). `opts` are the run settings (connectivity,
+// heuristic, epsilon, tie, seed / scale, tie, seed); onOpen(model) loads a
+// failing fuzz board into the editor.
+export default function VerifyPanel({ visual, model, opts, onOpen, onClose }) {
+  const kind = visual === 'maze' ? 'grid' : 'graph'
+  const solverRef = useRef(null)
+  const solver = () => (solverRef.current ??= new Solver())
+  useEffect(() => () => solverRef.current?.destroy(), [])
+
+  const [report, setReport] = useState(null)   // null while checking
+  const [reportError, setReportError] = useState(null)
+  const problems = report ? reportProblems(report) : []
+
+  const check = () => {
+    setReport(null)
+    setReportError(null)
+    solver().verify(kind, model, opts).then(setReport, err => setReportError(err instanceof CancelledError ? 'Stopped' : err.message))
+  }
+  useEffect(check, [model, kind]) // eslint-disable-line react-hooks/exhaustive-deps
+
+  const [seeds, setSeeds] = useState(100)
+  const [size, setSize] = useState(kind === 'grid' ? 12 : 8)
+  const [progress, setProgress] = useState(null)   // { done, total } while fuzzing
+  const [failures, setFailures] = useState(null)
+  const [fuzzed, setFuzzed] = useState(0)
+
+  // the worker sends failing boards as JSON; Stop keeps the ones found so far
+  const runFuzz = async () => {
+    const Model = kind === 'grid' ? GridModel : NodeModel
+    const found = []
+    let done = 0
+    setFailures(null)
+    setProgress({ done: 0, total: seeds })
+    try {
+      await solver().fuzz(kind, { ...opts, seeds, seed: opts.seed, size }, {
+        onProgress: p => {
+          done = p.done
+          found.push(...p.failures.map(({ seed, data, problems }) => ({ seed, model: Model.fromJSON(data), problems })))
+          setProgress({ done: p.done, total: p.total })
+        },
+      })
+    } catch (err) {
+      if (!(err instanceof CancelledError)) found.push({ seed: opts.seed + done, model: null, problems: [err.message] })
+    }
+    setProgress(null)
+    setFuzzed(done)
+    setFailures(found)
+  }
+
+  return (
+    <div className="modalOverlay" role="dialog" aria-modal="true" aria-labelledby="verifyTitle" onClick={onClose}>
+      <div className="modalPanel verifyPanel" onClick={e => e.stopPropagation()}>
+        <div className="modalHeader">
+          <h2 id="verifyTitle">Verify</h2>
+          <button className="iconBtn closeBtn" aria-label="Close verify" onClick={onClose} title="Close">✕</button>
+        </div>
+
+        {!report ? (
+          <p className="verifySummary">
+            {reportError ? <>Not checked: {reportError} <button onClick={check}>Check again</button></> : (
+              <>Checking every algorithm… <button onClick={() => solverRef.current?.cancel()}>Stop</button></>
+            )}
+          </p>
+        ) : (
+          <>
+            <p className={problems.length ? 'verifySummary bad' : 'verifySummary ok'}>
+              {problems.length
+                ? `${problems.length} problem${problems.length === 1 ? '' : 's'} on this board`
+                : kind === 'grid'
+                  ? 'Every path is valid and the exact algorithms agree with Dijkstra'
+                  : 'Every path is valid; with unit weights all agree with BFS, and the weighted runs with Dijkstra'}
+            </p>
+
+            <table className="verifyTable">
+              <thead>
+                <tr>
+                  <th>Algorithm</th>
+                  {kind === 'graph' && <th>Weights</th>}
+                  <th>Steps</th>
+                  <th>Cost</th>
+                  <th>Check</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.rows.map(row => (
+                  <tr key={`${row.key}|${row.weights || ''}`} className={row.problems.length ? 'bad' : ''}>
+                    <td>{row.label}</td>
+                    {kind === 'graph' && <td>{row.weights === 'unit' ? 'all 1' : 'as drawn'}</td>}
+                    <td>{row.skipped ? '—' : row.found ? row.steps : 'no path'}</td>
+                    <td>{row.found ? fmt(row.cost) : '—'}</td>
+                    <td>
+                      {row.skipped ? `skipped: ${row.skipped}`
+                        : row.problems.length ? <ul>{row.problems.map((p, i) => <li key={i}>{p}</li>)}</ul>
+                          : row.note ? `✓ valid (not compared: ${row.note})` : '✓'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {kind === 'grid' && !report.branches && (
+              <p className="verifyHint">Only the final paths are checked: branches are left out above {MAX_BRANCH_CELLS} cells.</p>
+            )}
+          </>
+        )}
+
+        <h3>Fuzz</h3>
+        <div className="verifyFuzz">
+          <label>Boards&nbsp;
+            <input type="number" min="1" max="5000" value={seeds} onChange={e => setSeeds(Math.max(1, Math.min(5000, Number(e.target.value) || 1)))} />
+          </label>
+          <label>{kind === 'grid' ? 'Cells per side' : 'Nodes'}&nbsp;
+            <input type="number" min="5" max={kind === 'grid' ? 25 : 30} value={size}
+              onChange={e => setSize(Math.max(5, Math.min(kind === 'grid' ? 25 : 30, Number(e.target.value) || 5)))} />
+          </label>
+          {progress ? (
+            <>
+              <button onClick={() => solverRef.current?.cancel()}>Stop</button>
+              <progress max={progress.total} value={progress.done} />
+            </>
+          ) : (
+            <button className="primary" onClick={runFuzz} disabled={!report}>Run fuzz</button>
+          )}
+          <span className="verifyHint">seeds {opts.seed}–{opts.seed + seeds - 1}, current settings</span>
+        </div>
+
+        {failures && (
+          failures.length ? (
+            <ul className="verifyFailures">
+              {failures.map(f => (
+                <li key={f.seed}>
+                  <strong>Seed {f.seed}</strong>
+                  {f.model && <button onClick={() => onOpen(f.model, f.seed)}>Open</button>}
+                  <ul>{f.problems.slice(0, 3).map((p, i) => <li key={i}>{p}</li>)}</ul>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="verifySummary ok">No problems on {fuzzed} random board{fuzzed === 1 ? '' : 's'}</p>
+          )
+        )}
+      </div>
+    </div>
+  )
+}
@@ -1,9 +1,35 @@
-// GridModel: grid state and wall management
+// GridModel: grid state, wall and terrain management
+import { header, checkHeader, expect, isInt } from './format.js'
+
+// cost of stepping onto a cell; plain cells cost 1, walls are impassable
+export const TERRAIN = {
+  grass: { label: 'Grass', cost: 2 },
+  mud:   { label: 'Mud',   cost: 5 },
+  water: { label: 'Water', cost: 10 },
+}
+
+// One byte per cell, row-major (index r * cols + c): OPEN, WALL, or a
+// terrain type at TERRAIN_BASE + its position in TERRAIN.
+export const OPEN = 0
+export const WALL = 1
+const TERRAIN_BASE = 2
+const TERRAIN_KEYS = Object.keys(TERRAIN)
+const COSTS = [1, 1, ...TERRAIN_KEYS.map(k => TERRAIN[k].cost)]
+
+// longest grid side the editor offers; files and links beyond it are refused
+export const MAX_SIDE = 1000
+
+export const terrainCode = type => TERRAIN_BASE + TERRAIN_KEYS.indexOf(type)
+export const terrainOfCode = code => (code >= TERRAIN_BASE ? TERRAIN_KEYS[code - TERRAIN_BASE] : null)
+
 export default class GridModel {
   constructor(rows = 20, cols = 20) {
     this.rows = rows
     this.cols = cols
-    this.walls = new Set()
+    this.cells = new Uint8Array(rows * cols)
+    this.version = 0          // bumped on every wall/terrain change (views redraw what differs)
+    this._terrainCount = 0
+    this._snap = null         // last snapshot's cells, reused while version is unchanged
     this.start = null
     this.end   = null
   }
@@ -16,38 +42,160 @@ export default class GridModel {
     if (type === 'end')   this.end   = null
   }
 
+  index(r, c) { return r * this.cols + c }
 
-  isWall(r, c) { 
-    return this.walls.has(`${r},${c}`)
+  inBounds(r, c) {
+    return Number.isInteger(r) && Number.isInteger(c) && r >= 0 && r < this.rows && c >= 0 && c < this.cols
   }
-  
-  addWall(r, c) { 
-    this.walls.add(`${r},${c}`) 
+
+  _set(i, code) {
+    const old = this.cells[i]
+    if (old === code) return
+    this._terrainCount += (code >= TERRAIN_BASE) - (old >= TERRAIN_BASE)
+    this.cells[i] = code
+    this.version++
+  }
+
+  // by cell index, for the algorithms' inner loops
+  isWallAt(i) { return this.cells[i] === WALL }
+  costAt(i) { return COSTS[this.cells[i]] }
+
+  isWall(r, c) {
+    return this.cells[r * this.cols + c] === WALL
+  }
+
+  // edits outside the board are ignored (row-major indices would wrap into
+  // the neighbouring row, or past the ends of the cells)
+  addWall(r, c) {
+    if (!this.inBounds(r, c)) return
+    this._set(r * this.cols + c, WALL)
+  }
+
+  removeWall(r, c) {
+    if (this.inBounds(r, c) && this.isWall(r, c)) this._set(r * this.cols + c, OPEN)
+  }
+
+  terrainAt(r, c) {
+    return terrainOfCode(this.cells[r * this.cols + c])
+  }
+
+  setTerrain(r, c, type) {
+    if (!TERRAIN[type] || !this.inBounds(r, c)) return
+    this._set(r * this.cols + c, terrainCode(type))
+  }
+
+  clearTerrain(r, c) {
+    if (this.inBounds(r, c) && this.terrainAt(r, c)) this._set(r * this.cols + c, OPEN)
   }
 
-  removeWall(r, c) { 
-    this.walls.delete(`${r},${c}`) 
+  // true when any cell has terrain (uniform-cost shortcuts no longer hold)
+  hasTerrain() { return this._terrainCount > 0 }
+
+  // traversal cost of entering (r, c)
+  cost(r, c) {
+    return COSTS[this.cells[r * this.cols + c]]
+  }
+
+  // wall/terrain state of one cell, for undoable edits
+  cellState(r, c) {
+    return { wall: this.isWall(r, c), terrain: this.terrainAt(r, c) }
+  }
+
+  setCellState(r, c, { wall, terrain }) {
+    this.removeWall(r, c)
+    this.clearTerrain(r, c)
+    if (wall) this.addWall(r, c)
+    else if (terrain) this.setTerrain(r, c, terrain)
+  }
+
+  clone() {
+    const m = new GridModel(this.rows, this.cols)
+    m.restore(this.snapshot())
+    return m
+  }
+
+  // Snapshots share their cells while nothing changes in between, so
+  // recording marker moves on a large grid does not copy it every time.
+  snapshot() {
+    if (this._snap?.version !== this.version) this._snap = { version: this.version, cells: this.cells.slice() }
+    return { cells: this._snap.cells, start: this.start, end: this.end }
+  }
+
+  restore(s) {
+    this.cells.set(s.cells)
+    this._terrainCount = s.cells.reduce((n, code) => n + (code >= TERRAIN_BASE), 0)
+    this.version++
+    this.start = s.start
+    this.end = s.end
   }
 
-  clear() { 
-    this.walls.clear() 
+  clear() {
+    this.cells.fill(OPEN)
+    this._terrainCount = 0
+    this.version++
   }
 
 
-  randomFill(prob = 0.3) {
-    this.walls.clear()
+  // scatter walls with probability `prob`; pass a seeded rng to repeat a board
+  randomFill(prob = 0.3, rng = Math.random) {
+    for (let i = 0; i < this.cells.length; i++) if (this.cells[i] === WALL) this._set(i, OPEN)
 
     const avoid = new Set()
-    if (this.start) avoid.add(`${this.start.r},${this.start.c}`)
-    if (this.end) avoid.add(`${this.end.r},${this.end.c}`)
-
-    for (let r = 0; r < this.rows; r++) {
-      for (let c = 0; c < this.cols; c++) {
-        const key = `${r},${c}`
-        if (avoid.has(key)) continue
-        if (Math.random() < prob) this.walls.add(key)
-      }
+    if (this.start) avoid.add(this.index(this.start.r, this.start.c))
+    if (this.end) avoid.add(this.index(this.end.r, this.end.c))
+
+    for (let i = 0; i < this.cells.length; i++) {
+      if (avoid.has(i)) continue
+      if (rng() < prob) this._set(i, WALL)
+    }
+  }
+
+  toJSON() {
+    const walls = [], terrain = []
+    const { cols } = this
+    this.cells.forEach((code, i) => {
+      if (code === WALL) walls.push([Math.floor(i / cols), i % cols])
+      else if (code >= TERRAIN_BASE) terrain.push([Math.floor(i / cols), i % cols, terrainOfCode(code)])
+    })
+    return {
+      ...header('grid'),
+      rows: this.rows,
+      cols: this.cols,
+      walls,
+      terrain,
+      start: this.start && { ...this.start },
+      end: this.end && { ...this.end },
+    }
+  }
+
+  // Build a model from toJSON() output; throws ScenarioError on bad input
+  static fromJSON(data) {
+    checkHeader(data, 'grid')
+    const { rows, cols } = data
+    expect(isInt(rows, 1) && isInt(cols, 1), 'Grid size must be positive whole numbers')
+    expect(rows <= MAX_SIDE && cols <= MAX_SIDE, `A ${rows}×${cols} grid is larger than the ${MAX_SIDE}×${MAX_SIDE} supported`)
+    const inGrid = p => Array.isArray(p) && isInt(p[0], 0, rows - 1) && isInt(p[1], 0, cols - 1)
+    const marker = (m, name) => {
+      if (m == null) return null
+      expect(isInt(m.r, 0, rows - 1) && isInt(m.c, 0, cols - 1), `${name} marker lies outside the ${rows}×${cols} grid`)
+      return { r: m.r, c: m.c }
+    }
+
+    const model = new GridModel(rows, cols)
+    expect(Array.isArray(data.walls), 'Grid scenario has no wall list')
+    for (const p of data.walls) {
+      expect(inGrid(p), `Wall ${JSON.stringify(p)} lies outside the ${rows}×${cols} grid`)
+      model.addWall(p[0], p[1])
+    }
+    for (const p of data.terrain || []) {
+      expect(inGrid(p), `Terrain cell ${JSON.stringify(p)} lies outside the ${rows}×${cols} grid`)
+      expect(TERRAIN[p[2]], `Unknown terrain type "${p[2]}"`)
+      expect(!model.isWall(p[0], p[1]), `Cell ${p[0]},${p[1]} is both a wall and terrain`)
+      model.setTerrain(p[0], p[1], p[2])
     }
+    model.start = marker(data.start, 'Start')
+    model.end = marker(data.end, 'Goal')
+    return model
   }
   
 }
@@ -0,0 +1,73 @@
+// History: undo/redo stacks of edits. An edit is { label, undo(), redo() }
+// and is recorded after it has been applied. begin()/commit() group the edits
+// of one gesture (a paint stroke, a drag) into a single undo step.
+export default class History {
+  constructor({ limit = 200, onChange = () => {} } = {}) {
+    this.limit = limit
+    this.onChange = onChange
+    this._undo = []
+    this._redo = []
+    this._batch = null
+  }
+
+  get canUndo() { return this._undo.length > 0 }
+  get canRedo() { return this._redo.length > 0 }
+
+  record(edit) {
+    if (this._batch) { this._batch.edits.push(edit); return }
+    this._undo.push(edit)
+    if (this._undo.length > this.limit) this._undo.shift()
+    this._redo = []
+    this.onChange()
+  }
+
+  begin(label) {
+    this.commit()
+    this._batch = { label, edits: [] }
+  }
+
+  commit() {
+    const batch = this._batch
+    this._batch = null
+    if (!batch || !batch.edits.length) return
+    const { label, edits } = batch
+    this.record({
+      label,
+      undo() { for (let i = edits.length - 1; i >= 0; i--) edits[i].undo() },
+      redo() { for (const e of edits) e.redo() },
+    })
+  }
+
+  // undo()/redo() return the label of the step taken, or null
+  undo() {
+    this.commit()
+    const edit = this._undo.pop()
+    if (!edit) return null
+    edit.undo()
+    this._redo.push(edit)
+    this.onChange()
+    return edit.label
+  }
+
+  redo() {
+    this.commit()
+    const edit = this._redo.pop()
+    if (!edit) return null
+    edit.redo()
+    this._undo.push(edit)
+    this.onChange()
+    return edit.label
+  }
+
+  clear() {
+    this._undo = []
+    this._redo = []
+    this._batch = null
+    this.onChange()
+  }
+}
+
+// an edit that swaps whole-model snapshots (model.snapshot() / restore())
+export function snapshotEdit(label, model, before, after = model.snapshot()) {
+  return { label, undo: () => model.restore(before), redo: () => model.restore(after) }
+}
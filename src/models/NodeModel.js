@@ -1,4 +1,14 @@
 // NodeModel: nodes + directed weighted edges
+import { header, checkHeader, expect, isInt } from './format.js'
+
+// inverse of _nextID: 'A' -> 0, 'Z' -> 25, 'AA' -> 26, ...; null for other ids
+function idIndex(id) {
+  if (!/^[A-Z]+$/.test(id)) return null
+  let n = 0
+  for (const ch of id) n = n * 26 + (ch.charCodeAt(0) - 64)
+  return n - 1
+}
+
 export default class NodeModel {
   constructor() {
     this.nodes = []
@@ -54,4 +64,84 @@ export default class NodeModel {
     if (kind === 'start') this.start = null
     if (kind === 'end')   this.goal  = null
   }
+
+  clone() {
+    const m = new NodeModel()
+    m.restore(this.snapshot())
+    return m
+  }
+
+  // total weight along a path of ids (Infinity if an edge is missing)
+  pathCost(ids) {
+    let sum = 0
+    for (let i = 1; i < ids.length; i++) {
+      const e = this.edges.find(e => e.from === ids[i - 1] && e.to === ids[i])
+      if (!e) return Infinity
+      sum += e.w
+    }
+    return sum
+  }
+
+  // copy of everything an edit can change, for undo/redo
+  snapshot() {
+    return {
+      nodes: this.nodes.map(n => ({ ...n })),
+      edges: this.edges.map(e => ({ ...e })),
+      start: this.start,
+      goal: this.goal,
+      counter: this._counter,
+    }
+  }
+
+  restore(s) {
+    this.nodes = s.nodes.map(n => ({ ...n }))
+    this.edges = s.edges.map(e => ({ ...e }))
+    this.start = s.start
+    this.goal = s.goal
+    this._counter = s.counter
+  }
+
+  toJSON() {
+    return {
+      ...header('graph'),
+      nodes: this.nodes.map(({ id, x, y, r }) => ({ id, x, y, r })),
+      edges: this.edges.map(({ from, to, w }) => ({ from, to, w })),
+      start: this.start,
+      goal: this.goal,
+      counter: this._counter,
+    }
+  }
+
+  // Build a model from toJSON() output; throws ScenarioError on bad input
+  static fromJSON(data) {
+    checkHeader(data, 'graph')
+    expect(Array.isArray(data.nodes) && Array.isArray(data.edges), 'Graph scenario needs node and edge lists')
+    expect(isInt(data.counter, 0), 'Graph scenario has no valid node counter')
+
+    const model = new NodeModel()
+    const ids = new Set()
+    for (const n of data.nodes) {
+      expect(n && typeof n.id === 'string' && n.id, 'Every node needs a text id')
+      expect(!ids.has(n.id), `Node id ${n.id} is used twice`)
+      expect(Number.isFinite(n.x) && Number.isFinite(n.y), `Node ${n.id} has no valid position`)
+      expect(n.r === undefined || (Number.isFinite(n.r) && n.r > 0), `Node ${n.id} has an invalid radius`)
+      const i = idIndex(n.id)
+      expect(i === null || i < data.counter, `Node counter ${data.counter} would hand out id ${n.id} again`)
+      ids.add(n.id)
+      model.nodes.push({ id: n.id, x: n.x, y: n.y, r: n.r ?? 22 })
+    }
+    for (const e of data.edges) {
+      expect(e && ids.has(e.from) && ids.has(e.to), `Edge ${e?.from} → ${e?.to} refers to a missing node`)
+      expect(e.from !== e.to, `Edge ${e.from} → ${e.to} is a self-loop`)
+      expect(Number.isFinite(e.w), `Edge ${e.from} → ${e.to} has no valid weight`)
+      expect(!model.edges.some(x => x.from === e.from && x.to === e.to), `Edge ${e.from} → ${e.to} appears twice`)
+      model.edges.push({ from: e.from, to: e.to, w: e.w })
+    }
+    for (const key of ['start', 'goal']) {
+      expect(data[key] == null || ids.has(data[key]), `${key === 'start' ? 'Start' : 'Goal'} marker is on missing node ${data[key]}`)
+      model[key] = data[key] ?? null
+    }
+    model._counter = data.counter
+    return model
+  }
 }
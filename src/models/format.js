@@ -0,0 +1,43 @@
+// Scenario file format shared by GridModel and NodeModel toJSON/fromJSON.
+// Every file carries { format, version, kind }; bump FORMAT_VERSION whenever
+// the shape changes and teach fromJSON to read (or reject) the old one.
+export const FORMAT = 'shortest-path-visualizer'
+export const FORMAT_VERSION = 1
+
+// A file that can't be loaded; the message is shown to the user as is.
+export class ScenarioError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'ScenarioError'
+  }
+}
+
+export function expect(cond, message) {
+  if (!cond) throw new ScenarioError(message)
+}
+
+export const isInt = (v, min = -Infinity, max = Infinity) => Number.isInteger(v) && v >= min && v <= max
+
+// file header for a model of the given kind ('grid' | 'graph')
+export const header = kind => ({ format: FORMAT, version: FORMAT_VERSION, kind })
+
+export function checkHeader(data, kind) {
+  expect(data && typeof data === 'object' && !Array.isArray(data) && data.format === FORMAT,
+    'Not a scenario file exported by this app')
+  expect(isInt(data.version, 1),
+    'Scenario file has no valid version number')
+  expect(data.version <= FORMAT_VERSION,
+    `Scenario file is version ${data.version}, newer than this app understands (version ${FORMAT_VERSION}); please update the app`)
+  expect(data.version === FORMAT_VERSION,
+    `Scenario file version ${data.version} is no longer supported (expected version ${FORMAT_VERSION}); re-export it from a current build`)
+  expect(data.kind === kind, `Expected a ${kind} scenario but the file holds a ${data.kind || 'unknown'} one`)
+}
+
+// Parse scenario text and report which kind of model it holds.
+export function readScenario(text) {
+  let data
+  try { data = JSON.parse(text) } catch { throw new ScenarioError('File is not valid JSON') }
+  expect(data && data.format === FORMAT, 'Not a scenario file exported by this app')
+  expect(data.kind === 'grid' || data.kind === 'graph', `Unknown scenario kind "${data.kind}"`)
+  return data
+}
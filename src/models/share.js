@@ -0,0 +1,127 @@
+// Share links: the board, algorithm and settings packed into the URL hash
+// (#b=<base64url JSON>). Walls travel as a run-length-encoded bitset, the
+// rest in a compact form that unpacks to the toJSON() shape, so GridModel /
+// NodeModel.fromJSON validate a link exactly as they validate a file.
+import GridModel, { TERRAIN, MAX_SIDE, terrainOfCode } from './GridModel.js'
+import { header, expect, ScenarioError } from './format.js'
+
+const TERRAIN_KEYS = Object.keys(TERRAIN)
+
+// Run lengths of alternating open/wall cells in row-major order, starting
+// with open, as base-36 numbers: "1c.2.a" = 48 open, 2 walls, 10 open.
+export function encodeWalls(rows, cols, isWall) {
+  const runs = []
+  let cur = false, len = 0
+  for (let i = 0; i < rows * cols; i++) {
+    const w = isWall(Math.floor(i / cols), i % cols)
+    if (w !== cur) { runs.push(len); cur = w; len = 0 }
+    len++
+  }
+  runs.push(len)
+  return runs.map(n => n.toString(36)).join('.')
+}
+
+// The runs are all read and checked against rows × cols before any cell is
+// listed, so a damaged or hostile link cannot make the list grow unbounded.
+export function decodeWalls(rows, cols, text) {
+  const parts = String(text).split('.')
+  expect(parts.every(part => /^[0-9a-z]+$/.test(part)), 'Link has a damaged wall list')
+  const runs = parts.map(part => parseInt(part, 36))
+  expect(runs.reduce((sum, len) => sum + len, 0) <= rows * cols, 'Link has a damaged wall list')
+
+  const walls = []
+  let i = 0, wall = false
+  for (const len of runs) {
+    if (wall) for (let j = i; j < i + len; j++) walls.push([Math.floor(j / cols), j % cols])
+    i += len
+    wall = !wall
+  }
+  return walls
+}
+
+function packModel(model) {
+  if (model instanceof GridModel) {
+    const { rows, cols } = model
+    const t = []   // [cell index, terrain type index]
+    model.cells.forEach((code, i) => {
+      const type = terrainOfCode(code)
+      if (type) t.push([i, TERRAIN_KEYS.indexOf(type)])
+    })
+    return {
+      k: 'g',
+      n: [rows, cols],
+      w: encodeWalls(rows, cols, (r, c) => model.isWall(r, c)),
+      t,
+      s: model.start && [model.start.r, model.start.c],
+      e: model.end && [model.end.r, model.end.c],
+    }
+  }
+  const round = v => Math.round(v * 10) / 10
+  return {
+    k: 'n',
+    N: model.nodes.map(n => (n.r === 22 ? [n.id, round(n.x), round(n.y)] : [n.id, round(n.x), round(n.y), n.r])),
+    E: model.edges.map(e => [e.from, e.to, e.w]),
+    s: model.start,
+    g: model.goal,
+    c: model._counter,
+  }
+}
+
+// compact form -> scenario data for fromJSON
+function unpackModel(p) {
+  expect(p && (p.k === 'g' || p.k === 'n'), 'Link does not describe a board')
+  if (p.k === 'g') {
+    expect(Array.isArray(p.n) && p.n.length === 2, 'Link has no grid size')
+    const [rows, cols] = p.n
+    expect(Number.isInteger(rows) && Number.isInteger(cols) && rows > 0 && cols > 0, 'Link has no grid size')
+    expect(rows <= MAX_SIDE && cols <= MAX_SIDE, `A ${rows}×${cols} grid is larger than the ${MAX_SIDE}×${MAX_SIDE} supported`)
+    const marker = m => (Array.isArray(m) ? { r: m[0], c: m[1] } : null)
+    return {
+      ...header('grid'),
+      rows, cols,
+      walls: decodeWalls(rows, cols, p.w ?? '0'),
+      terrain: (p.t || []).map(([i, t]) => [Math.floor(i / cols), i % cols, TERRAIN_KEYS[t]]),
+      start: marker(p.s),
+      end: marker(p.e),
+    }
+  }
+  expect(Array.isArray(p.N) && Array.isArray(p.E), 'Link has no node or edge list')
+  return {
+    ...header('graph'),
+    nodes: p.N.map(([id, x, y, r]) => ({ id, x, y, r })),
+    edges: p.E.map(([from, to, w]) => ({ from, to, w })),
+    start: p.s ?? null,
+    goal: p.g ?? null,
+    counter: p.c,
+  }
+}
+
+const toBase64Url = text => {
+  let bin = ''
+  for (const b of new TextEncoder().encode(text)) bin += String.fromCharCode(b)
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+const fromBase64Url = text => {
+  const bin = atob(text.replace(/-/g, '+').replace(/_/g, '/'))
+  return new TextDecoder().decode(Uint8Array.from(bin, ch => ch.charCodeAt(0)))
+}
+
+// '#b=...' for the model plus whatever algorithm/settings the app passes
+export function shareHash(model, alg, settings) {
+  return '#b=' + toBase64Url(JSON.stringify({ ...packModel(model), a: alg, o: settings }))
+}
+
+// null when the hash holds no board; otherwise { data, alg, settings } with
+// `data` ready for fromJSON. Throws ScenarioError for a damaged link.
+export function readShareHash(hash) {
+  const m = /^#?b=([A-Za-z0-9_-]+)$/.exec(hash || '')
+  if (!m) return null
+  try {
+    const packed = JSON.parse(fromBase64Url(m[1]))
+    return { data: unpackModel(packed), alg: packed.a, settings: packed.o || {} }
+  } catch (err) {
+    if (err instanceof ScenarioError) throw err
+    throw new ScenarioError('Link is damaged or incomplete')
+  }
+}
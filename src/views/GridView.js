@@ -1,4 +1,42 @@
-// GridView: draws grid, walls, start/end on a canvas
+// GridView: draws grid, terrain, walls, start/end on a canvas
+import { WALL, terrainCode } from '../models/GridModel.js'
+import { cellOfKey } from '../algorithms/trace.js'
+
+// below this cell size (CSS px) grid lines are left out and markers are
+// drawn at MIN_MARKER so they stay visible on very large boards
+const MIN_LINES = 4
+const MIN_MARKER = 6
+// numbers are only written into cells at least this big
+export const MIN_TEXT = 20
+
+// heatmap ramp, low to high: pale yellow, orange, red, dark purple
+export const HEAT_STOPS = [[255, 237, 160], [253, 141, 60], [189, 0, 38], [73, 0, 106]]
+const HEAT_ALPHA = 170
+
+function heatColor(t) {
+  const x = Math.min(Math.max(t, 0), 1) * (HEAT_STOPS.length - 1)
+  const i = Math.min(Math.floor(x), HEAT_STOPS.length - 2)
+  const a = HEAT_STOPS[i], b = HEAT_STOPS[i + 1], f = x - i
+  return [0, 1, 2].map(k => Math.round(a[k] + (b[k] - a[k]) * f))
+}
+
+const fmtValue = v => (Number.isInteger(v) ? String(v) : v.toFixed(1))
+
+// "#rrggbb" / "rgb(a)(…)" as [r, g, b, a 0–255]; the browser normalises any
+// CSS colour assigned to fillStyle into one of those two forms
+function rgba(ctx, color) {
+  ctx.fillStyle = '#000'
+  ctx.fillStyle = color
+  const s = ctx.fillStyle
+  if (s[0] === '#') return [1, 3, 5].map(i => parseInt(s.slice(i, i + 2), 16)).concat(255)
+  const [r, g, b, a = 1] = s.match(/[\d.]+/g).map(Number)
+  return [r, g, b, Math.round(a * 255)]
+}
+
+// The board itself lives in an offscreen canvas with one pixel per cell,
+// scaled up on draw. It is kept in step with the model's cells by repainting
+// only the ones that changed since the last draw (found by diffing against
+// the cells last painted, and only when model.version moved).
 export default class GridView {
   constructor(canvas, model, opt = {}) {
     this.canvas = canvas
@@ -10,10 +48,25 @@ export default class GridView {
       bgColor: null,
       gridColor: '#e5e7eb',
       wallColor: '#0f172a',
+      terrainColors: {
+        grass: 'rgba(34,197,94,.30)',    // green-500
+        mud:   'rgba(146,64,14,.35)',    // amber-800
+        water: 'rgba(59,130,246,.38)',   // blue-500
+      },
       renderScale: 1,              // ⬅️ NEW: multiply over devicePixelRatio
       ...opt
     }
 
+    this.board = document.createElement('canvas')
+    this.board.width = model.cols
+    this.board.height = model.rows
+    this.boardCtx = this.board.getContext('2d')
+    this.pixels = this.boardCtx.createImageData(model.cols, model.rows)
+    this.palette = this._palette()
+    this.shown = new Uint8Array(model.cells.length).fill(255)   // cells currently in `pixels`
+    this.shownVersion = -1
+    this.highlight = null    // { r, c } ringed on every draw (e.g. hovered in the inspector)
+
     this._setupCanvas()
   }
 
@@ -31,46 +84,240 @@ export default class GridView {
 
   draw() {
     const { ctx, model: m, opt: o } = this
+    const cs = o.cellSize
 
     const { width, height } = this.canvas
     ctx.clearRect(0, 0, width, height)
-    ctx.strokeStyle = this.opt.gridColor || 'rgba(148,163,184,.28)';
-    ctx.lineWidth = 1
+    this._syncBoard()
+    ctx.imageSmoothingEnabled = false
+    ctx.drawImage(this.board, 0, 0, m.cols * cs, m.rows * cs)
 
     // grid lines
-    ctx.beginPath()
-    for (let r = 0; r <= m.rows; r++) {
-      const y = r * o.cellSize + .5
-      ctx.moveTo(0, y); ctx.lineTo(m.cols * o.cellSize, y)
-    }
-    for (let c = 0; c <= m.cols; c++) {
-      const x = c * o.cellSize + .5
-      ctx.moveTo(x, 0); ctx.lineTo(x, m.rows * o.cellSize)
-    }
-    ctx.stroke()
-
-    // walls
-    ctx.fillStyle = o.wallColor
-    for (const id of m.walls) {
-      const [r, c] = id.split(',').map(Number)
-      ctx.fillRect(c * o.cellSize + 1, r * o.cellSize + 1, o.cellSize - 1, o.cellSize - 1)
+    if (cs >= MIN_LINES) {
+      ctx.strokeStyle = this.opt.gridColor || 'rgba(148,163,184,.28)';
+      ctx.lineWidth = 1
+      ctx.beginPath()
+      for (let r = 0; r <= m.rows; r++) {
+        const y = r * cs + .5
+        ctx.moveTo(0, y); ctx.lineTo(m.cols * cs, y)
+      }
+      for (let c = 0; c <= m.cols; c++) {
+        const x = c * cs + .5
+        ctx.moveTo(x, 0); ctx.lineTo(x, m.rows * cs)
+      }
+      ctx.stroke()
     }
 
     // start / end
-    if (m.start) {
-      ctx.fillStyle = '#16a34a'
-      ctx.fillRect(m.start.c * o.cellSize + 1, m.start.r * o.cellSize + 1, o.cellSize - 1, o.cellSize - 1)
-      ctx.strokeStyle = 'rgba(22,163,74,.55)'
+    const marker = ({ r, c }, fill, ring) => {
+      const size = Math.max(cs, MIN_MARKER)
+      const x = c * cs + (cs - size) / 2, y = r * cs + (cs - size) / 2
+      ctx.fillStyle = fill
+      ctx.fillRect(x + 1, y + 1, size - 1, size - 1)
+      if (size < MIN_MARKER + 2) return
+      ctx.strokeStyle = ring
       ctx.lineWidth = 2
-      ctx.strokeRect(m.start.c * o.cellSize + 1.5, m.start.r * o.cellSize + 1.5, o.cellSize - 3, o.cellSize - 3)
+      ctx.strokeRect(x + 1.5, y + 1.5, size - 3, size - 3)
     }
-    if (m.end) {
-      ctx.fillStyle = '#ef4444'
-      ctx.fillRect(m.end.c * o.cellSize + 1, m.end.r * o.cellSize + 1, o.cellSize - 1, o.cellSize - 1)
-      ctx.strokeStyle = 'rgba(239,68,68,.55)'
+    if (m.start) marker(m.start, '#16a34a', 'rgba(22,163,74,.55)')
+    if (m.end) marker(m.end, '#ef4444', 'rgba(239,68,68,.55)')
+
+    if (this.highlight) {
+      const { r, c } = this.highlight
+      const size = Math.max(cs, MIN_MARKER) + 4
+      ctx.strokeStyle = '#2563eb'   // blue-600
       ctx.lineWidth = 2
-      ctx.strokeRect(m.end.c * o.cellSize + 1.5, m.end.r * o.cellSize + 1.5, o.cellSize - 3, o.cellSize - 3)
+      ctx.strokeRect(c * cs + (cs - size) / 2, r * cs + (cs - size) / 2, size, size)
+    }
+  }
+
+  setHighlight(cell) {
+    this.highlight = cell
+    this.draw()
+  }
+
+  // RGBA per cell code (see GridModel): open cells stay transparent
+  _palette() {
+    const ctx = this.boardCtx
+    const palette = [[0, 0, 0, 0]]
+    palette[WALL] = rgba(ctx, this.opt.wallColor)
+    for (const [type, color] of Object.entries(this.opt.terrainColors)) palette[terrainCode(type)] = rgba(ctx, color)
+    return palette
+  }
+
+  // repaint the cells that differ from what the board shows, then upload
+  // the bounding box of those cells only
+  _syncBoard() {
+    const { model: m, pixels } = this
+    if (this.shownVersion === m.version) return
+    const { cells } = m, { shown } = this
+    let r0 = m.rows, r1 = -1, c0 = m.cols, c1 = -1
+    for (let i = 0; i < cells.length; i++) {
+      if (shown[i] === cells[i]) continue
+      shown[i] = cells[i]
+      const [r, g, b, a] = this.palette[cells[i]] || this.palette[0]
+      pixels.data[i * 4] = r; pixels.data[i * 4 + 1] = g; pixels.data[i * 4 + 2] = b; pixels.data[i * 4 + 3] = a
+      const row = Math.floor(i / m.cols), col = i % m.cols
+      if (row < r0) r0 = row
+      if (row > r1) r1 = row
+      if (col < c0) c0 = col
+      if (col > c1) c1 = col
+    }
+    if (r1 >= 0) this.boardCtx.putImageData(pixels, 0, 0, c0, r0, c1 - c0 + 1, r1 - r0 + 1)
+    this.shownVersion = m.version
+  }
+
+  // Search state from a trace replay (see trace.js), drawn over the board:
+  // visited and frontier cells, a bidirectional run's backward side in violet,
+  // where the two sides met, and with `jumps` the JPS jump tree.
+  drawReplay(replay, { jumps = false } = {}) {
+    const { ctx } = this
+    const cs = this.opt.cellSize
+    const center = key => { const { r, c } = cellOfKey(key); return [c * cs + cs / 2, r * cs + cs / 2] }
+
+    const tiny = cs < MIN_LINES   // cells too small for dots: fill them whole
+    const half = tiny ? cs / 2 : cs * .22
+
+    ctx.save()
+    for (const [key, status] of replay.status) {
+      const [cx, cy] = center(key)
+      const bwd = replay.side.get(key) === 'bwd'
+      if (status === 'frontier') {
+        ctx.fillStyle = bwd ? 'rgba(139,92,246,.50)' : 'rgba(252,146,31,.45)' // violet-500 / orange-400
+        if (tiny) { ctx.fillRect(cx - half, cy - half, cs, cs); continue }
+        ctx.beginPath(); ctx.arc(cx, cy, cs * .20, 0, Math.PI * 2); ctx.fill()
+      } else {
+        ctx.fillStyle = bwd ? 'rgba(139,92,246,.28)' : 'rgba(100,116,139,.35)' // violet-500 / slate-500
+        ctx.fillRect(cx - half, cy - half, half * 2, half * 2)
+      }
+    }
+
+    if (jumps) {
+      ctx.strokeStyle = 'rgba(100,116,139,.7)'             // slate-500
+      ctx.lineWidth = Math.max(1, cs * .08)
+      ctx.beginPath()
+      for (const [key, fromKey] of replay.from) {
+        ctx.moveTo(...center(fromKey)); ctx.lineTo(...center(key))
+      }
+      ctx.stroke()
+    }
+
+    if (replay.meet !== null) {
+      const [cx, cy] = center(replay.meet)
+      ctx.strokeStyle = '#16a34a'                          // green-600
+      ctx.lineWidth = Math.max(2, cs * .12)
+      ctx.beginPath(); ctx.arc(cx, cy, cs * .42, 0, Math.PI * 2); ctx.stroke()
+    }
+    ctx.restore()
+  }
+
+  // Cells coloured by their value (Map trace key → number) along HEAT_STOPS
+  // over the range of the finite ones; cells without a value keep their look.
+  // Painted like the board: one pixel per cell offscreen, scaled up.
+  drawHeatmap(values) {
+    const { ctx } = this
+    const { rows, cols } = this.model
+    const cs = this.opt.cellSize
+    if (!this.heat || this.heat.width !== cols || this.heat.height !== rows) {
+      this.heat = document.createElement('canvas')
+      this.heat.width = cols
+      this.heat.height = rows
+      this.heatCtx = this.heat.getContext('2d')
+      this.heatPixels = this.heatCtx.createImageData(cols, rows)
+    }
+    const data = this.heatPixels.data
+    data.fill(0)
+
+    let lo = Infinity, hi = -Infinity
+    for (const v of values.values()) if (Number.isFinite(v)) { lo = Math.min(lo, v); hi = Math.max(hi, v) }
+    const span = hi - lo || 1
+    for (const [key, v] of values) {
+      if (!Number.isFinite(v)) continue
+      const { r, c } = cellOfKey(key)
+      const p = (r * cols + c) * 4
+      const [R, G, B] = heatColor((v - lo) / span)
+      data[p] = R; data[p + 1] = G; data[p + 2] = B; data[p + 3] = HEAT_ALPHA
+    }
+    this.heatCtx.putImageData(this.heatPixels, 0, 0)
+
+    ctx.save()
+    ctx.imageSmoothingEnabled = false
+    ctx.drawImage(this.heat, 0, 0, cols * cs, rows * cs)
+    ctx.restore()
+  }
+
+  // each value (Map trace key → number) written in its cell; left out while
+  // cells are smaller than MIN_TEXT
+  drawValues(values) {
+    const { ctx } = this
+    const cs = this.opt.cellSize
+    if (cs < MIN_TEXT) return
+    ctx.save()
+    ctx.font = `600 ${Math.round(Math.min(13, cs * .34))}px system-ui, sans-serif`
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'middle'
+    ctx.lineWidth = 3
+    ctx.lineJoin = 'round'
+    ctx.strokeStyle = 'rgba(255,255,255,.85)'   // halo: readable on walls, terrain and heat alike
+    ctx.fillStyle = '#0f172a'                   // slate-900
+    for (const [key, v] of values) {
+      if (!Number.isFinite(v)) continue
+      const { r, c } = cellOfKey(key)
+      const text = fmtValue(v)
+      ctx.strokeText(text, c * cs + cs / 2, r * cs + cs / 2, cs * .92)
+      ctx.fillText(text, c * cs + cs / 2, r * cs + cs / 2, cs * .92)
+    }
+    ctx.restore()
+  }
+
+  // parent pointers (Map trace key → parent key) as arrows from each cell
+  // towards its parent, so following them from any cell leads back to Start;
+  // plain lines once cells are too small for arrow heads
+  drawParents(from) {
+    const { ctx } = this
+    const cs = this.opt.cellSize
+    const center = key => { const { r, c } = cellOfKey(key); return [c * cs + cs / 2, r * cs + cs / 2] }
+    const head = cs >= MIN_MARKER * 2 ? cs * .18 : 0
+
+    ctx.save()
+    ctx.strokeStyle = 'rgba(13,148,136,.85)'   // teal-600
+    ctx.lineWidth = Math.max(1, cs * .06)
+    ctx.lineCap = 'round'; ctx.lineJoin = 'round'
+    ctx.beginPath()
+    for (const [key, parent] of from) {
+      const [x0, y0] = center(key), [x1, y1] = center(parent)
+      const len = Math.hypot(x1 - x0, y1 - y0)
+      if (!len) continue
+      const ux = (x1 - x0) / len, uy = (y1 - y0) / len
+      const ex = x1 - ux * cs * .3, ey = y1 - uy * cs * .3   // stop short of the parent's centre
+      ctx.moveTo(x0 + ux * cs * .15, y0 + uy * cs * .15)
+      ctx.lineTo(ex, ey)
+      if (head) {
+        ctx.moveTo(ex - (ux + uy * .6) * head, ey - (uy - ux * .6) * head)
+        ctx.lineTo(ex, ey)
+        ctx.lineTo(ex - (ux - uy * .6) * head, ey - (uy + ux * .6) * head)
+      }
     }
+    ctx.stroke()
+    ctx.restore()
+  }
+
+  // a path as a line through cell centres, up to index `upto`
+  drawPath(path, upto = path.length - 1, color = '#2563eb') {
+    if (!path.length) return
+    const { ctx } = this
+    const cs = this.opt.cellSize
+    ctx.save()
+    ctx.strokeStyle = color
+    ctx.lineWidth = Math.max(2, cs * .18)
+    ctx.lineCap = 'round'; ctx.lineJoin = 'round'
+    ctx.beginPath()
+    for (let i = 0; i <= Math.min(upto, path.length - 1); i++) {
+      const x = path[i].c * cs + cs / 2, y = path[i].r * cs + cs / 2
+      if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y)
+    }
+    ctx.stroke()
+    ctx.restore()
   }
 
   cssToCell(xCss, yCss) {
@@ -1,4 +1,6 @@
 // NodeView: interactive node/edge canvas, incl. animation
+import { EV, traceFrames, emptyReplay, applyFrame, replayTo, traceBookmarks } from '../algorithms/trace.js'
+import { snapshotEdit } from '../models/History.js'
 
 // rounded-rect helper for weight pills
 function roundRect(ctx, x, y, w, h, r) {
@@ -17,7 +19,9 @@ export default class NodeView {
     this.canvas = canvas
     this.ctx = canvas.getContext('2d')
     this.model = model
-    this.opt = { font: '16px system-ui', showWeights: true, ...opt }
+    // opt.history (History) records every edit made on the canvas;
+    // interactive: false gives a read-only view drawn at `zoom` (race lanes)
+    this.opt = { font: '16px system-ui', showWeights: true, history: null, interactive: true, zoom: 1, ...opt }
 
 
     this._dragging = null
@@ -29,24 +33,28 @@ export default class NodeView {
     this._hoverNode = null
     this._cursor = null
     this._hover = null
+    this._cycle = null   // negative cycle to highlight, as [ids] with first repeated last
+    this._highlight = null // path picked outside the animation (e.g. a matrix cell), as [ids]
+    this._inspected = null // node id hovered in the inspector
 
-    this.anim = { path: [], seg: 0, progress: 0, playing: false }
+    this.anim = this._emptyAnim()
 
     this._setupCanvas()
-    this._bindEvents()
+    if (this.opt.interactive) this._bindEvents()
     this.draw()
   }
 
   _setupCanvas() {
     const dpr = window.devicePixelRatio || 1
-    const cssW = 22 * 30
-    const cssH = 19 * 30
+    const zoom = this.opt.zoom
+    const cssW = 22 * 30 * zoom
+    const cssH = 19 * 30 * zoom
     this.canvas.style.width = cssW + 'px'
     this.canvas.style.height = cssH + 'px'
     this.canvas.width = cssW * dpr
     this.canvas.height = cssH * dpr
     this.ctx.setTransform(1,0,0,1,0,0)
-    this.ctx.scale(dpr, dpr)
+    this.ctx.scale(dpr * zoom, dpr * zoom)
   }
 
   _bindEvents() {
@@ -61,12 +69,18 @@ export default class NodeView {
   }
 
   destroy() {
+    if (!this.opt.interactive) return
     this.canvas.removeEventListener('mousedown', this._down)
     this.canvas.removeEventListener('dblclick', this._dbl)
     window.removeEventListener('mousemove', this._move)
     window.removeEventListener('mouseup', this._up)
   }
 
+  // record the change since `before` (a model snapshot) as one undo step
+  _record(label, before) {
+    this.opt.history?.record(snapshotEdit(label, this.model, before))
+  }
+
   _eventPos(ev) {
     const rect = this.canvas.getBoundingClientRect()
     return { x: ev.clientX - rect.left, y: ev.clientY - rect.top }
@@ -77,13 +91,16 @@ export default class NodeView {
     const node = this.model.nodeAt(x, y)
     if (!this._edgeMode && !this._delMode) {
       if (node && (node.id === this.model.start || node.id === this.model.goal)) {
+        const before = this.model.snapshot()
         if (node.id === this.model.start) this.model.clearMarker('start')
         if (node.id === this.model.goal)  this.model.clearMarker('end')
+        this._record('remove marker', before)
         this.draw(); return
       }
     }
     if (this._edgeMode) { this._edgeFrom = node; return }
-    if (node) this._dragging = { node, dx: x - node.x, dy: y - node.y }
+    // the whole drag is one undo step, recorded on mouseup if the node moved
+    if (node) this._dragging = { node, dx: x - node.x, dy: y - node.y, before: this.model.snapshot(), moved: false }
   }
 
   _onMove(ev) {
@@ -91,7 +108,10 @@ export default class NodeView {
     this._cursor = { x, y }
     this._hover  = this.model.nodeAt(x, y)
     if (this._delNodeMode) this._hoverNode = this.model.nodeAt(x, y)
-    if (this._dragging) this.model.move(this._dragging.node, x - this._dragging.dx, y - this._dragging.dy)
+    if (this._dragging) {
+      this.model.move(this._dragging.node, x - this._dragging.dx, y - this._dragging.dy)
+      this._dragging.moved = true
+    }
     if (this._delMode) {
       this._hoverEdge = null
       const id2node = id => this.model.nodes.find(n => n.id === id)
@@ -109,18 +129,26 @@ export default class NodeView {
 
   _onUp(ev) {
     if (this._delNodeMode && this._hoverNode) {
-      this.model.remove(this._hoverNode); this._hoverNode = null; this.draw(); return
+      const before = this.model.snapshot()
+      this.model.remove(this._hoverNode)
+      this._record(`delete node ${this._hoverNode.id}`, before)
+      this._hoverNode = null; this.draw(); return
     }
     if (this._edgeMode && this._edgeFrom) {
       const { x, y } = this._eventPos(ev)
       const toNode = this.model.nodeAt(x, y)
+      const before = this.model.snapshot(), count = this.model.edges.length
       if (toNode) this.model.addEdge(this._edgeFrom, toNode)
+      if (this.model.edges.length !== count) this._record(`add edge ${this._edgeFrom.id} → ${toNode.id}`, before)
       this._edgeFrom = null; this.draw(); return
     }
     if (this._delMode && this._hoverEdge) {
+      const before = this.model.snapshot()
       this.model.removeEdge(this._hoverEdge.from, this._hoverEdge.to)
+      this._record(`remove edge ${this._hoverEdge.from} → ${this._hoverEdge.to}`, before)
       this._hoverEdge = null; this.draw(); return
     }
+    if (this._dragging?.moved) this._record(`move node ${this._dragging.node.id}`, this._dragging.before)
     this._dragging = null; this.draw()
   }
 
@@ -132,10 +160,14 @@ export default class NodeView {
     const { x, y } = this._eventPos(ev)
     const edge = this._edgeAt(x, y, 10)
     if (!edge) return
-    const val = prompt('Edge weight:', edge.w)
+    const val = prompt('Edge weight (negative allowed):', edge.w)
+    if (val === null || val.trim() === '') return
     const w = Number(val)
-    if (!isFinite(w) || w <= 0) return
-    edge.w = w; this.draw()
+    if (!isFinite(w) || w === edge.w) return
+    const before = this.model.snapshot()
+    edge.w = w
+    this._record(`weight ${edge.from} → ${edge.to}`, before)
+    this.draw()
   }
 
   setEdgeMode(on) {
@@ -183,6 +215,20 @@ export default class NodeView {
     ctx.lineWidth = 2
     const id2node = id => this.model.nodes.find(n => n.id === id)
 
+    // trace replay: edges touched by the current frame and per-node status
+    const { replay } = this.anim
+    const lastEdges = new Map()
+    for (const ev of replay.last) {
+      if (ev.from !== undefined && ev.type !== EV.ENQUEUE) lastEdges.set(`${ev.from}>${ev.id}`, ev.type)
+    }
+    const pairs = ids => {
+      const set = new Set()
+      for (let i = 0; ids && i < ids.length - 1; i++) set.add(`${ids[i]}>${ids[i + 1]}`)
+      return set
+    }
+    const cycleEdges = pairs(this._cycle)
+    const pathEdges = pairs(this._highlight)
+
     /* ---------- edges (with nicer styling) ---------- */
     for (const e of this.model.edges) {
       const a = id2node(e.from), b = id2node(e.to)
@@ -190,10 +236,19 @@ export default class NodeView {
 
       const isHover = this._delMode && this._hoverEdge &&
         e.from === this._hoverEdge.from && e.to === this._hoverEdge.to
-
-      ctx.strokeStyle = isHover ? '#f43f5e' : 'rgba(71,85,105,.95)' // red-500 hover, slate-600 normal
-      ctx.fillStyle   = isHover ? '#f43f5e' : 'rgba(71,85,105,.95)'
-      ctx.lineWidth   = isHover ? 4 : 2.25
+      const relaxed = lastEdges.get(`${e.from}>${e.to}`)
+      const inCycle = cycleEdges.has(`${e.from}>${e.to}`)
+      const onPath = pathEdges.has(`${e.from}>${e.to}`)
+
+      let color = 'rgba(71,85,105,.95)'                                  // slate-600 normal
+      if (relaxed === EV.REJECT) color = 'rgba(239,68,68,.75)'           // red-500 rejected
+      else if (relaxed) color = '#16a34a'                                // green-600 improved
+      if (onPath) color = '#2563eb'                                      // blue-600 picked path
+      if (inCycle) color = '#dc2626'                                     // red-600 negative cycle
+      if (isHover) color = '#f43f5e'                                     // red-500 hover
+      ctx.strokeStyle = color
+      ctx.fillStyle   = color
+      ctx.lineWidth   = inCycle || onPath ? 5 : isHover || relaxed ? 4 : 2.25
 
       const dx = b.x - a.x, dy = b.y - a.y
       const len = Math.hypot(dx, dy)
@@ -254,12 +309,19 @@ export default class NodeView {
       const highlight = (this._edgeMode && (n === this._edgeFrom || n === this._hover)) ||
                         (this._delNodeMode && n === this._hoverNode)
 
+      const status = replay.status.get(n.id)
+      const bwd = replay.side.get(n.id) === 'bwd'   // backward half of a bidirectional run
+
       let fill = '#ffffff'
       if (n.id === this.model.start) fill = '#16a34a'   // green-600
       else if (n.id === this.model.goal) fill = '#ef4444' // red-500
       else if (highlight) fill = '#fffcce'              // soft highlight
+      else if (status === 'settled' || status === 'reached') fill = bwd ? '#ddd6fe' : '#cbd5e1' // violet-200 / slate-300 visited
+      else if (status === 'frontier') fill = bwd ? '#c4b5fd' : '#fde68a'  // violet-300 / amber-200 frontier
 
       if (highlight && this._delNodeMode) { ctx.strokeStyle = '#f43f5e'; ctx.lineWidth = 4 } // red-500
+      else if (this._cycle?.includes(n.id)) { ctx.strokeStyle = '#dc2626'; ctx.lineWidth = 4 } // red-600
+      else if (this._highlight?.includes(n.id)) { ctx.strokeStyle = '#2563eb'; ctx.lineWidth = 4 } // blue-600
       else { ctx.strokeStyle = '#0f172a'; ctx.lineWidth = 2 }                                // slate-900
 
       ctx.fillStyle = fill
@@ -267,6 +329,32 @@ export default class NodeView {
 
       ctx.fillStyle = '#000'
       ctx.fillText(n.id, n.x, n.y)
+
+      if (this._inspected === n.id) {
+        ctx.strokeStyle = '#2563eb'; ctx.lineWidth = 3 // blue-600
+        ctx.setLineDash([4, 3])
+        ctx.beginPath(); ctx.arc(n.x, n.y, n.r + 6, 0, Math.PI * 2); ctx.stroke()
+        ctx.setLineDash([])
+      }
+
+      if (replay.meet === n.id) {   // bidirectional meeting point
+        ctx.strokeStyle = '#16a34a'; ctx.lineWidth = 4 // green-600
+        ctx.beginPath(); ctx.arc(n.x, n.y, n.r + 7, 0, Math.PI * 2); ctx.stroke()
+      }
+    }
+
+    /* ---------- trace overlay (node popped in the current frame) ---------- */
+    if (this._replaying()) {
+      const settled = replay.last.find(ev => ev.type === EV.SETTLE)
+      const node = settled && id2node(settled.id)
+      if (node) {
+        ctx.strokeStyle = '#f59e0b' // amber-500
+        ctx.lineWidth = 4
+        ctx.setLineDash([6, 4])
+        ctx.beginPath(); ctx.arc(node.x, node.y, node.r + 5, 0, Math.PI * 2); ctx.stroke()
+        ctx.setLineDash([])
+      }
+      return
     }
 
     /* ---------- animation overlay (current segment) ---------- */
@@ -289,26 +377,90 @@ export default class NodeView {
 
   addNode() {
     const rect = this.canvas.getBoundingClientRect()
-    this.model.add(rect.width / 2, rect.height / 2); this.draw()
+    const before = this.model.snapshot()
+    const node = this.model.add(rect.width / 2, rect.height / 2)
+    this._record(`add node ${node.id}`, before)
+    this.draw()
+  }
+
+  // the trace (if any) is replayed frame by frame before the path pulse runs;
+  // bookmarks: traceBookmarks of the frames
+  _emptyAnim() {
+    return { path: [], seg: 0, progress: 0, playing: false, frames: [], fpos: 0, replay: emptyReplay(), bookmarks: [] }
   }
+  _replaying() { return this.anim.fpos < this.anim.frames.length }
 
-  startAnim(path) { this.anim = { path, seg: 0, progress: 0, playing: true }; this._tick() }
+  startAnim(path, trace = []) {
+    this.loadAnim(path, trace)
+    this.anim.playing = true
+    this._tick()
+  }
+  // set up a run without playing it; advance it with stepAnim()
+  loadAnim(path, trace = []) {
+    const frames = traceFrames(trace)
+    this.anim = { ...this._emptyAnim(), path, frames, bookmarks: traceBookmarks(frames, this.model.goal) }
+    this.opt.onMove?.()
+    this.draw()
+  }
   pause() { this.anim.playing = false }  // alias kept for React wiring
   pauseAnim() { this.anim.playing = false }
+  // apply the next trace frame and tell the owner (opt.onFrame(frame, replayDone);
+  // opt.onMove() whenever animPos changes)
+  _nextFrame() {
+    const frame = this.anim.frames[this.anim.fpos++]
+    applyFrame(this.anim.replay, frame)
+    this.opt.onFrame?.(frame, !this._replaying())
+    this.opt.onMove?.()
+  }
+
   stepAnim() {
     if (!this.anim.path.length) return
-    if (this.anim.seg < this.anim.path.length - 1) this.anim.seg++
+    if (this._replaying()) this._nextFrame()
+    else if (this.anim.seg < this.anim.path.length - 1) { this.anim.seg++; this.opt.onMove?.() }
     this.anim.progress = 0; this.draw()
   }
-  resetAnim() { this.anim = { path: [], seg: 0, progress: 0, playing: false }; this.draw() }
+  resetAnim() { this.anim = this._emptyAnim(); this._cycle = null; this._highlight = null; this.opt.onMove?.(); this.draw() }
+
+  // the run as one timeline: trace frames replayed, then path segments
+  animPos() { return this.anim.fpos + this.anim.seg }
+  animLength() { return this.anim.path.length ? this.anim.frames.length + this.anim.path.length - 1 : 0 }
+
+  // pause at timeline step t; going back replays the trace from its start
+  seekAnim(t) {
+    const a = this.anim
+    if (!a.path.length) return
+    t = Math.max(0, Math.min(Math.round(t), this.animLength()))
+    const f = Math.min(t, a.frames.length)
+    if (f < a.fpos) { a.replay = replayTo(a.frames, f); a.fpos = f }
+    while (a.fpos < f) applyFrame(a.replay, a.frames[a.fpos++])
+    a.seg = t - f
+    a.progress = 0
+    a.playing = false
+    this.opt.onFrame?.(a.frames[a.fpos - 1] || [], !this._replaying())
+    this.opt.onMove?.()
+    this.draw()
+  }
+
+  setCycle(ids) { this._cycle = ids && ids.length ? ids : null; this.draw() }
+  setHighlightPath(ids) { this._highlight = ids && ids.length ? ids : null; this.draw() }
+  setInspected(id) { this._inspected = id; this.draw() }
 
   _tick() {
     if (!this.anim.playing) return
-    this.anim.progress += 0.02
-    if (this.anim.progress >= 1) {
-      this.anim.progress = 0; this.anim.seg++
+    if (this._replaying()) {
+      this.anim.progress += 0.05
+      if (this.anim.progress >= 1) {
+        this.anim.progress = 0
+        this._nextFrame()
+      }
+    } else {
+      this.anim.progress += 0.02
+      if (this.anim.progress >= 1) {
+        this.anim.progress = 0; this.anim.seg++
+        this.opt.onMove?.()
+      }
       if (this.anim.seg >= this.anim.path.length - 1) {
-        this.anim.seg = this.anim.path.length - 1; this.anim.playing = false
+        this.anim.seg = this.anim.path.length - 1; this.anim.progress = 0; this.anim.playing = false
       }
     }
     this.draw()
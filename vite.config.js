@@ -3,4 +3,10 @@ import react from '@vitejs/plugin-react'
 
 export default defineConfig({
   plugins: [react()],
+  build: {
+    rollupOptions: {
+      // the visualizer and the benchmark page
+      input: ['index.html', 'benchmark.html'],
+    },
+  },
 })